@@ -8,11 +8,15 @@
  */
 
 const path = require('path');
+const { log, configureLogger } = require('../src/logger');
+
+const GLOBAL_FLAGS = ['--offline', '--dry-run', '--json', '--quiet', '--verbose', '--no-color'];
 
 const COMMANDS = {
     login: {
         description: 'Authenticate with LeetCode',
-        handler: () => require('../src/auth').login()
+        requiresNetwork: true,
+        handler: (args) => require('../src/auth').login(args)
     },
     logout: {
         description: 'Clear authentication session',
@@ -24,13 +28,30 @@ const COMMANDS = {
     },
     download: {
         description: 'Download LeetCode problems',
+        requiresNetwork: true,
+        supportsDryRun: true,
         handler: (args) => {
             const downloadModule = require('../src/download');
             const parsedArgs = parseDownloadArgs(args);
 
-            const downloadArgs = [];
-            if (parsedArgs.problemId) {
-                downloadArgs.push(parsedArgs.problemId.toString());
+            const downloadArgs = [...parsedArgs.problems];
+            if (parsedArgs.idsFile) {
+                downloadArgs.push('--ids-file', parsedArgs.idsFile);
+            }
+            if (parsedArgs.daily) {
+                downloadArgs.push('--daily');
+            }
+            if (parsedArgs.dailyArchive) {
+                downloadArgs.push('--daily-archive', parsedArgs.dailyArchive);
+            }
+            if (parsedArgs.contest) {
+                downloadArgs.push('--contest', parsedArgs.contest);
+            }
+            if (parsedArgs.list) {
+                downloadArgs.push('--list', parsedArgs.list);
+            }
+            if (parsedArgs.studyPlan) {
+                downloadArgs.push('--study-plan', parsedArgs.studyPlan);
             }
             if (parsedArgs.dataDir) {
                 downloadArgs.push('-d', parsedArgs.dataDir);
@@ -38,8 +59,11 @@ const COMMANDS = {
             if (parsedArgs.formats) {
                 downloadArgs.push('-f', parsedArgs.formats);
             }
-            if (parsedArgs.concurrency) {
-                downloadArgs.push('-c', parsedArgs.concurrency.toString());
+            if (parsedArgs.concurrency !== null) {
+                downloadArgs.push('-c', parsedArgs.concurrency);
+            }
+            if (parsedArgs.rps) {
+                downloadArgs.push('--rps', parsedArgs.rps);
             }
             if (parsedArgs.skipTemplates) {
                 downloadArgs.push('--no-templates');
@@ -50,17 +74,85 @@ const COMMANDS = {
             if (parsedArgs.skipOfficial) {
                 downloadArgs.push('--no-official');
             }
+            if (parsedArgs.mine) {
+                downloadArgs.push('--mine');
+            }
+            // Raw values, so download reports an invalid number instead of it being dropped here
+            if (parsedArgs.communityTop !== null) {
+                downloadArgs.push('--community-top', parsedArgs.communityTop);
+            }
+            if (parsedArgs.communityOrder) {
+                downloadArgs.push('--community-order', parsedArgs.communityOrder);
+            }
+            if (parsedArgs.difficulty) {
+                downloadArgs.push('--difficulty', parsedArgs.difficulty);
+            }
+            if (parsedArgs.tags) {
+                downloadArgs.push('--tags', parsedArgs.tags);
+            }
+            if (parsedArgs.companies) {
+                downloadArgs.push('--companies', parsedArgs.companies);
+            }
+            if (parsedArgs.range) {
+                downloadArgs.push('--range', parsedArgs.range);
+            }
+            if (parsedArgs.freeOnly) {
+                downloadArgs.push('--free-only');
+            }
+            if (parsedArgs.refresh) {
+                downloadArgs.push('--refresh');
+            }
+            if (parsedArgs.since) {
+                downloadArgs.push('--since', parsedArgs.since);
+            }
+            if (parsedArgs.refreshList) {
+                downloadArgs.push('--refresh-list');
+            }
+            if (parsedArgs.listTtl) {
+                downloadArgs.push('--list-ttl', parsedArgs.listTtl);
+            }
+            if (parsedArgs.layout) {
+                downloadArgs.push('--layout', parsedArgs.layout);
+            }
+            if (parsedArgs.links) {
+                downloadArgs.push('--links', parsedArgs.links);
+            }
+            if (parsedArgs.imageStore) {
+                downloadArgs.push('--image-store', parsedArgs.imageStore);
+            }
+            if (parsedArgs.htmlTemplate) {
+                downloadArgs.push('--html-template', parsedArgs.htmlTemplate);
+            }
+            if (parsedArgs.mdTemplate) {
+                downloadArgs.push('--md-template', parsedArgs.mdTemplate);
+            }
+            if (parsedArgs.site) {
+                downloadArgs.push('--site', parsedArgs.site);
+            }
+            if (parsedArgs.zh) {
+                downloadArgs.push('--zh');
+            }
+            if (parsedArgs.retryFailed) {
+                downloadArgs.push('--retry-failed');
+            }
+            if (parsedArgs.reason) {
+                downloadArgs.push('--reason', parsedArgs.reason);
+            }
+            if (parsedArgs.dryRun) {
+                downloadArgs.push('--dry-run');
+            }
 
             if (downloadModule.main) {
                 downloadModule.main(0, downloadArgs);
             } else {
-                console.error('Download module not properly exported');
+                log.error('Download module not properly exported');
                 process.exit(1);
             }
         }
     },
     export: {
         description: 'Export downloaded problems',
+        supportsDryRun: true,
         handler: (args) => {
             const exportModule = require('../src/export');
             return exportModule.main(0, args);
@@ -68,6 +160,8 @@ const COMMANDS = {
     },
     sync: {
         description: 'Sync data from Google Drive',
+        requiresNetwork: true,
+        supportsDryRun: true,
         handler: (args) => {
             const syncModule = require('../src/sync');
             return syncModule.main(0, args);
@@ -75,22 +169,73 @@ const COMMANDS = {
     },
     pack: {
         description: 'Pack data for Google Drive upload',
+        supportsDryRun: true,
         handler: (args) => {
             const packModule = require('../src/pack');
             return packModule.main(0, args);
         }
+    },
+    reindex: {
+        description: 'Rebuild dataset index.json from folders',
+        handler: (args) => {
+            const reindexModule = require('../src/reindex');
+            return reindexModule.main(0, args);
+        }
+    },
+    rebuild: {
+        description: 'Regenerate problem.html/.md from stored raw HTML',
+        handler: (args) => {
+            const rebuildModule = require('../src/rebuild');
+            return rebuildModule.main(0, args);
+        }
+    },
+    stats: {
+        description: 'Show dataset statistics',
+        handler: (args) => {
+            const statsModule = require('../src/stats');
+            return statsModule.main(0, args);
+        }
     }
 };
 
 function parseDownloadArgs(args) {
     const result = {
-        problemId: null,
+        problems: [],
+        idsFile: null,
+        daily: false,
+        dailyArchive: null,
+        contest: null,
+        list: null,
+        studyPlan: null,
         dataDir: null,
         formats: null,
         skipTemplates: false,
         skipSolutions: false,
         skipOfficial: false,
-        concurrency: null
+        mine: false,
+        communityTop: null,
+        communityOrder: null,
+        concurrency: null,
+        rps: null,
+        difficulty: null,
+        tags: null,
+        companies: null,
+        range: null,
+        freeOnly: false,
+        refresh: false,
+        since: null,
+        refreshList: false,
+        listTtl: null,
+        layout: null,
+        links: null,
+        imageStore: null,
+        htmlTemplate: null,
+        mdTemplate: null,
+        site: null,
+        zh: false,
+        retryFailed: false,
+        reason: null,
+        dryRun: false
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -106,15 +251,73 @@ function parseDownloadArgs(args) {
         } else if (arg === '--formats' || arg === '-f') {
             result.formats = args[++i];
         } else if (arg === '--concurrency' || arg === '-c') {
-            result.concurrency = parseInt(args[++i], 10);
+            result.concurrency = args[++i];
+        } else if (arg === '--rps') {
+            result.rps = args[++i];
         } else if (arg === '--no-templates') {
             result.skipTemplates = true;
         } else if (arg === '--no-solutions') {
             result.skipSolutions = true;
         } else if (arg === '--no-official') {
             result.skipOfficial = true;
+        } else if (arg === '--mine') {
+            result.mine = true;
+        } else if (arg === '--community-top') {
+            result.communityTop = args[++i];
+        } else if (arg === '--community-order') {
+            result.communityOrder = args[++i];
+        } else if (arg === '--difficulty') {
+            result.difficulty = args[++i];
+        } else if (arg === '--tags') {
+            result.tags = args[++i];
+        } else if (arg === '--companies') {
+            result.companies = args[++i];
+        } else if (arg === '--range') {
+            result.range = args[++i];
+        } else if (arg === '--free-only') {
+            result.freeOnly = true;
+        } else if (arg === '--refresh') {
+            result.refresh = true;
+        } else if (arg === '--since') {
+            result.since = args[++i];
+        } else if (arg === '--refresh-list') {
+            result.refreshList = true;
+        } else if (arg === '--list-ttl') {
+            result.listTtl = args[++i];
+        } else if (arg === '--ids-file') {
+            result.idsFile = args[++i];
+        } else if (arg === '--daily') {
+            result.daily = true;
+        } else if (arg === '--daily-archive') {
+            result.dailyArchive = args[++i];
+        } else if (arg === '--contest') {
+            result.contest = args[++i];
+        } else if (arg === '--list') {
+            result.list = args[++i];
+        } else if (arg === '--study-plan') {
+            result.studyPlan = args[++i];
+        } else if (arg === '--layout') {
+            result.layout = args[++i];
+        } else if (arg === '--links') {
+            result.links = args[++i];
+        } else if (arg === '--image-store') {
+            result.imageStore = args[++i];
+        } else if (arg === '--html-template') {
+            result.htmlTemplate = args[++i];
+        } else if (arg === '--md-template') {
+            result.mdTemplate = args[++i];
+        } else if (arg === '--site') {
+            result.site = args[++i];
+        } else if (arg === '--zh') {
+            result.zh = true;
+        } else if (arg === '--retry-failed') {
+            result.retryFailed = true;
+        } else if (arg === '--reason') {
+            result.reason = args[++i];
+        } else if (arg === '--dry-run') {
+            result.dryRun = true;
         } else if (!arg.startsWith('-')) {
-            result.problemId = parseInt(arg, 10);
+            result.problems.push(arg);
         }
     }
 
@@ -122,7 +325,7 @@ function parseDownloadArgs(args) {
 }
 
 function showHelp() {
-    console.log(`
+    log.print(`
 \x1b[1mleetcode-fetch\x1b[0m - Download LeetCode problems with solutions
 
 \x1b[1mUSAGE\x1b[0m
@@ -132,31 +335,86 @@ function showHelp() {
   login             Authenticate with LeetCode
   logout            Clear authentication session
   status            Check authentication status
-  download [id]     Download problems (optionally specify problem ID)
+  download [id...]  Download problems (optionally specify IDs, slugs or URLs)
   export            Export downloaded problems with filtering
   sync              Sync data from Google Drive
   pack              Pack data for Google Drive upload
+  reindex           Rebuild dataset index.json from folders
+  rebuild           Regenerate problem.html/.md from stored raw HTML, offline
+  stats             Show dataset statistics
+
+\x1b[1mLOGIN OPTIONS\x1b[0m
+  --site            Site to log in to: com or cn (default: com)
+
+\x1b[1mGLOBAL OPTIONS\x1b[0m
+  --offline         Never touch the network; commands that need it are refused
+  --dry-run         Print what download, export, pack or sync would do, without
+                    writing or downloading anything
+  --json            Emit NDJSON events and a final summary on stdout; human-readable
+                    messages go to stderr
+  --quiet           Only print warnings and errors
+  --verbose         Also print debug details such as retries and HTTP errors
+  --no-color        Plain output without ANSI colors (also: NO_COLOR=1 or piping)
+  --log-file        Append every message, including debug lines and each HTTP error
+                    with its query name, status and retry count, to this file
 
 \x1b[1mDOWNLOAD OPTIONS\x1b[0m
-  [id]              Download specific problem by ID (optional)
+  [id...]           Problem IDs, title slugs or URLs to download (optional)
+  --ids-file        File listing problem IDs, slugs or URLs
+  --daily           Download today's daily challenge
+  --daily-archive   Download every daily challenge of a month (YYYY-MM)
+  --contest         Download a contest's problems in order, e.g. weekly-contest-400
+  --list            Download a favorite list in order, with curriculum.json
+  --study-plan      Download a study plan in order, e.g. top-interview-150
   -d, --data-dir    Data directory (default: data/downloads)
-  -f, --formats     Comma-separated formats: html,md,raw (default: all)
+  -f, --formats     Comma-separated formats: html,md,raw,html-bundle (default: html,md,raw)
   --no-templates    Skip downloading code templates
   --no-solutions    Skip downloading community solutions
   --no-official     Skip downloading official solutions
+  --mine            Also download your own accepted submissions
+  --community-top   Community solutions per language (default: 1)
+  --community-order most_votes, hot or newest_to_oldest (default: most_votes)
   -c, --concurrency Number of concurrent downloads (default: 5)
+  --rps             Max requests per second, backs off on 429/5xx (default: 5)
+  --difficulty      Only these difficulties, e.g. easy,medium
+  --tags            Only problems with any of these tag slugs
+  --companies       Only problems with any of these company slugs
+  --range           Only problem IDs in range, e.g. 1-500
+  --free-only       Only free (non-premium) problems
+  --refresh         Re-download completed problems that changed upstream
+  --since           With --refresh, skip problems fetched within e.g. 30d
+  --refresh-list    Ignore the cached problem list and fetch it again
+  --list-ttl        How long the cached problem list is valid (default: 24h)
+  --retry-failed    Only retry the problems recorded as failed, then show a before/after table
+  --reason          With --retry-failed: templates, official, community, exception, ...
+  --layout          Folder template, e.g. "{difficulty}/{id:04}-{slug}"
+                    Tokens: {id}, {slug}, {name}, {difficulty}, {tag}, {category}
+  --links           Also link problems from by-tag/ and/or by-company/: tags,companies
+  --image-store     Store images once per dataset by content hash: link, ref or none
+  --html-template   Mustache-style template for problem.html, e.g. with your own CSS
+  --md-template     Mustache-style template for problem.md, e.g. with YAML front matter
+  --site            com or cn; must match the login session (default: session site)
+  --zh              Also save the Chinese translation (leetcode.cn only)
   -h, --help        Show this help message
 
 \x1b[1mEXAMPLES\x1b[0m
   leetcode-fetch login
+  leetcode-fetch login --site cn
   leetcode-fetch download
   leetcode-fetch download 1
   leetcode-fetch download -f md
   leetcode-fetch download -d data/my-dataset
+  leetcode-fetch download --difficulty easy,medium --range 1-500
+  leetcode-fetch download --tags graph --dry-run
   leetcode-fetch pack
   leetcode-fetch pack -s data/downloads -o my-backup.zip
   leetcode-fetch sync -u <google-drive-url>
   leetcode-fetch export -o ./my-problems -l python3
+  leetcode-fetch reindex -d data/my-dataset
+  leetcode-fetch rebuild -d data/my-dataset -f md
+  leetcode-fetch stats --offline
+  leetcode-fetch download --json 2>/dev/null | jq -c 'select(.event == "problem-failed")'
+  leetcode-fetch download --quiet --log-file logs/download.log
 
 \x1b[1mMORE INFO\x1b[0m
   https://github.com/Djanghao/leetcode-fetch
@@ -164,34 +422,119 @@ function showHelp() {
 }
 
 function showDownloadHelp() {
-    console.log(`
+    log.print(`
 \x1b[1mDOWNLOAD COMMAND\x1b[0m
 
 \x1b[1mUSAGE\x1b[0m
-  leetcode-fetch download [id] [options]
+  leetcode-fetch download [id...] [options]
 
 \x1b[1mOPTIONS\x1b[0m
-  [id]              Download specific problem by ID (optional)
+  [id...]           Problem IDs, title slugs or URLs to download (optional)
+  --ids-file        File listing problem IDs, slugs or URLs
+  --daily           Download today's daily challenge
+  --daily-archive   Download every daily challenge of a month (YYYY-MM)
+  --contest         Download a contest's problems in order, e.g. weekly-contest-400
+  --list            Download a favorite list in order, with curriculum.json
+  --study-plan      Download a study plan in order, e.g. top-interview-150
   -d, --data-dir    Data directory (default: data/downloads)
-  -f, --formats     Comma-separated formats: html,md,raw (default: all)
+  -f, --formats     Comma-separated formats: html,md,raw,html-bundle (default: html,md,raw)
   --no-templates    Skip downloading code templates
   --no-solutions    Skip downloading community solutions
   --no-official     Skip downloading official solutions
+  --mine            Also download your own accepted submissions
+  --community-top   Community solutions per language (default: 1)
+  --community-order most_votes, hot or newest_to_oldest (default: most_votes)
   -c, --concurrency Number of concurrent downloads (default: 5)
+  --rps             Max requests per second, backs off on 429/5xx (default: 5)
+  --difficulty      Only these difficulties, e.g. easy,medium
+  --tags            Only problems with any of these tag slugs
+  --companies       Only problems with any of these company slugs
+  --range           Only problem IDs in range, e.g. 1-500
+  --free-only       Only free (non-premium) problems
+  --refresh         Re-download completed problems that changed upstream
+  --since           With --refresh, skip problems fetched within e.g. 30d
+  --refresh-list    Ignore the cached problem list and fetch it again
+  --list-ttl        How long the cached problem list is valid (default: 24h)
+  --retry-failed    Only retry the problems recorded as failed, then show a before/after table
+  --reason          With --retry-failed: templates, official, community, exception, ...
+  --layout          Folder template, e.g. "{difficulty}/{id:04}-{slug}"
+                    Tokens: {id}, {slug}, {name}, {difficulty}, {tag}, {category}
+  --links           Also link problems from by-tag/ and/or by-company/: tags,companies
+  --image-store     Store images once per dataset by content hash: link, ref or none
+  --html-template   Mustache-style template for problem.html, e.g. with your own CSS
+  --md-template     Mustache-style template for problem.md, e.g. with YAML front matter
+  --site            com or cn; must match the login session (default: session site)
+  --zh              Also save the Chinese translation (leetcode.cn only)
+  --dry-run         Print which problems would be fetched, retried or skipped
 
 \x1b[1mEXAMPLES\x1b[0m
   leetcode-fetch download
   leetcode-fetch download 1
+  leetcode-fetch download two-sum 15 https://leetcode.com/problems/3sum-closest/
+  leetcode-fetch download --ids-file ids.txt
+  leetcode-fetch download --daily
+  leetcode-fetch download --daily-archive 2024-03
+  leetcode-fetch download --contest weekly-contest-400
+  leetcode-fetch download --study-plan top-interview-150
+  leetcode-fetch download --list my-favorite-list-slug
   leetcode-fetch download -f md
   leetcode-fetch download -c 10
+  leetcode-fetch download -c 10 --rps 3
   leetcode-fetch download -d data/my-dataset
   leetcode-fetch download --no-templates
   leetcode-fetch download 1 -f md --no-solutions
+  leetcode-fetch download 1 --mine
+  leetcode-fetch download 1 --community-top 5 --community-order hot
+  leetcode-fetch download --difficulty easy,medium --range 1-500
+  leetcode-fetch download --tags dynamic-programming,graph --free-only
+  leetcode-fetch download --companies google
+  leetcode-fetch download --refresh --since 30d
+  leetcode-fetch download --difficulty hard --dry-run
+  leetcode-fetch download --retry-failed --reason community,official
+  leetcode-fetch download 1 --site cn --zh
+  leetcode-fetch download -d data/by-level --layout "{difficulty}/{id:04}-{slug}" --links tags
+  leetcode-fetch download --image-store ref
+  leetcode-fetch download --md-template docs/problem.md --html-template docs/problem.html
 `);
 }
 
 function main() {
-    const args = process.argv.slice(2);
+    const rawArgs = process.argv.slice(2);
+    const offline = rawArgs.includes('--offline');
+    const dryRun = rawArgs.includes('--dry-run');
+    const json = rawArgs.includes('--json');
+    const quiet = rawArgs.includes('--quiet');
+    const verbose = rawArgs.includes('--verbose');
+
+    let logFile = null;
+    const args = [];
+    for (let i = 0; i < rawArgs.length; i++) {
+        if (rawArgs[i] === '--log-file') {
+            logFile = rawArgs[++i];
+            if (!logFile || logFile.startsWith('-')) {
+                log.error('\x1b[31mError:\x1b[0m --log-file needs a file path\n');
+                process.exit(1);
+            }
+        } else if (!GLOBAL_FLAGS.includes(rawArgs[i])) {
+            args.push(rawArgs[i]);
+        }
+    }
+
+    if (quiet && verbose) {
+        log.error('\x1b[31mError:\x1b[0m --quiet and --verbose cannot be used together\n');
+        process.exit(1);
+    }
+
+    try {
+        configureLogger({
+            level: quiet ? 'warn' : (verbose ? 'debug' : undefined),
+            color: rawArgs.includes('--no-color') ? false : undefined,
+            logFile
+        });
+    } catch (error) {
+        log.error(`\x1b[31mError:\x1b[0m Could not open log file: ${error.message}\n`);
+        process.exit(1);
+    }
 
     if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
         showHelp();
@@ -200,18 +543,34 @@ function main() {
 
     if (args[0] === '--version' || args[0] === '-v') {
         const pkg = require('../package.json');
-        console.log(pkg.version);
+        log.print(pkg.version);
         return;
     }
 
     const command = args[0];
     const commandArgs = args.slice(1);
 
+    if (COMMANDS[command] && dryRun) {
+        if (!COMMANDS[command].supportsDryRun) {
+            log.error(`\x1b[31mError:\x1b[0m "${command}" does not support --dry-run\n`);
+            process.exit(1);
+        }
+        commandArgs.push('--dry-run');
+    }
+
+    if (COMMANDS[command] && offline && COMMANDS[command].requiresNetwork) {
+        log.error(`\x1b[31mError:\x1b[0m "${command}" needs network access and cannot run with --offline\n`);
+        process.exit(1);
+    }
+
     if (COMMANDS[command]) {
+        if (json) {
+            require('../src/events').enableJsonOutput(command);
+        }
         COMMANDS[command].handler(commandArgs);
     } else {
-        console.error(`\x1b[31mError:\x1b[0m Unknown command "${command}"\n`);
-        console.log('Run \x1b[36mleetcode-fetch --help\x1b[0m for usage information');
+        log.error(`\x1b[31mError:\x1b[0m Unknown command "${command}"\n`);
+        log.error('Run \x1b[36mleetcode-fetch --help\x1b[0m for usage information');
         process.exit(1);
     }
 }
@@ -8,48 +8,10 @@
 const { spawn } = require('child_process');
 const { startOAuthServer } = require('./oauth-server');
 const { clearSession, getUser, isLoggedIn, saveSession } = require('./session');
-const axios = require('axios');
-
-class Spinner {
-    constructor(message = 'Loading') {
-        this.frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-        this.currentFrame = 0;
-        this.message = message;
-        this.interval = null;
-    }
-
-    start() {
-        this.interval = setInterval(() => {
-            process.stdout.write(`\r\x1b[2m${this.frames[this.currentFrame]} ${this.message}...\x1b[0m`);
-            this.currentFrame = (this.currentFrame + 1) % this.frames.length;
-        }, 80);
-    }
-
-    stop(clearLine = true) {
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = null;
-            if (clearLine) {
-                process.stdout.write('\r\x1b[K');
-            }
-        }
-    }
-
-    succeed(message) {
-        this.stop(true);
-        console.log(`\x1b[32m✓\x1b[0m ${message}`);
-    }
-
-    fail(message) {
-        this.stop(true);
-        console.log(`\x1b[31m✗\x1b[0m ${message}`);
-    }
-
-    info(message) {
-        this.stop(true);
-        console.log(`\x1b[36m›\x1b[0m ${message}`);
-    }
-}
+const http = require('./http');
+const { DEFAULT_SITE, getSiteConfig, getLoginUrl, getCookieHeader } = require('./site');
+const { emitSummary } = require('./events');
+const { log, Spinner } = require('./logger');
 
 function openBrowser(url) {
     const platform = process.platform;
@@ -66,7 +28,7 @@ function openBrowser(url) {
     spawn(command, [url], { stdio: 'ignore', detached: true }).unref();
 }
 
-async function verifyUserWithCookie(cookie) {
+async function verifyUserWithCookie(cookie, site) {
     const query = `
         query globalData {
             userStatus {
@@ -80,15 +42,15 @@ async function verifyUserWithCookie(cookie) {
     `;
 
     try {
-        const response = await axios.post(
-            'https://leetcode.com/graphql',
+        const response = await http.post(
+            site.graphqlUrl,
             {
                 query,
                 variables: {}
             },
             {
                 headers: {
-                    'Cookie': `LEETCODE_SESSION=${cookie}`,
+                    'Cookie': getCookieHeader(site, cookie),
                     'Content-Type': 'application/json',
                 }
             }
@@ -101,9 +63,9 @@ async function verifyUserWithCookie(cookie) {
                 let csrfToken = '';
 
                 if (setCookieHeader) {
-                    const csrfCookie = setCookieHeader.find(c => c.includes('csrftoken='));
+                    const csrfCookie = setCookieHeader.find(c => c.includes(`${site.csrfCookie}=`));
                     if (csrfCookie) {
-                        const match = csrfCookie.match(/csrftoken=([^;]+)/);
+                        const match = csrfCookie.match(new RegExp(`${site.csrfCookie}=([^;]+)`));
                         if (match) {
                             csrfToken = match[1];
                         }
@@ -114,7 +76,8 @@ async function verifyUserWithCookie(cookie) {
                     name: userStatus.username,
                     paid: userStatus.isPremium || false,
                     sessionId: cookie,
-                    sessionCSRF: csrfToken
+                    sessionCSRF: csrfToken,
+                    site: site.id
                 };
             }
         }
@@ -124,49 +87,65 @@ async function verifyUserWithCookie(cookie) {
     }
 }
 
-async function login() {
+function parseLoginArgs(args = []) {
+    const config = {
+        site: DEFAULT_SITE
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--site') {
+            config.site = args[++i];
+        }
+    }
+
+    return config;
+}
+
+async function login(args = []) {
     const spinner = new Spinner('Waiting for authentication');
 
     try {
+        const site = getSiteConfig(parseLoginArgs(args).site);
+
         if (isLoggedIn()) {
             const user = getUser();
-            console.log(`\n\x1b[32m✓\x1b[0m Already logged in as \x1b[36m${user.name}\x1b[0m`);
-            console.log(`\x1b[2m  Use "leetcode-fetch logout" to switch accounts\x1b[0m\n`);
+            log.info(`\n\x1b[32m✓\x1b[0m Already logged in as \x1b[36m${user.name}\x1b[0m \x1b[2m(${getSiteConfig(user.site).name})\x1b[0m`);
+            log.info(`\x1b[2m  Use "leetcode-fetch logout" to switch accounts\x1b[0m\n`);
             return true;
         }
 
         const PORT = 8000;
-        const authUrl = `https://leetcode.com/authorize-login/http/?path=localhost:${PORT}/callback`;
+        const authUrl = getLoginUrl(site, PORT);
 
-        console.log('\n\x1b[1mLeetCode Authentication\x1b[0m\n');
-        console.log(`\x1b[36m›\x1b[0m Opening browser...`);
+        log.info(`\n\x1b[1mLeetCode Authentication\x1b[0m \x1b[2m(${site.name})\x1b[0m\n`);
+        log.info(`\x1b[36m›\x1b[0m Opening browser...`);
 
         openBrowser(authUrl);
 
         spinner.start();
-        const cookie = await startOAuthServer(PORT);
+        const cookie = await startOAuthServer(PORT, site);
         spinner.stop();
 
         const verifySpinner = new Spinner('Verifying credentials');
         verifySpinner.start();
-        const userData = await verifyUserWithCookie(cookie);
+        const userData = await verifyUserWithCookie(cookie, site);
         verifySpinner.stop();
 
         if (userData) {
             saveSession(userData);
-            console.log(`\x1b[32m✓\x1b[0m \x1b[1mAuthentication successful\x1b[0m`);
-            console.log(`\x1b[2m  Logged in as\x1b[0m \x1b[36m${userData.name}\x1b[0m`);
-            console.log(`\x1b[2m  Account type:\x1b[0m ${userData.paid ? '\x1b[33mPremium\x1b[0m' : '\x1b[2mFree\x1b[0m'}\n`);
+            log.info(`\x1b[32m✓\x1b[0m \x1b[1mAuthentication successful\x1b[0m`);
+            log.info(`\x1b[2m  Logged in as\x1b[0m \x1b[36m${userData.name}\x1b[0m`);
+            log.info(`\x1b[2m  Account type:\x1b[0m ${userData.paid ? '\x1b[33mPremium\x1b[0m' : '\x1b[2mFree\x1b[0m'}\n`);
             return true;
         } else {
-            console.log(`\x1b[31m✗\x1b[0m Authentication failed`);
-            console.log(`\x1b[2m  Could not verify credentials\x1b[0m\n`);
+            log.error(`\x1b[31m✗\x1b[0m Authentication failed`);
+            log.error(`\x1b[2m  Could not verify credentials\x1b[0m\n`);
             return false;
         }
     } catch (error) {
         spinner.stop();
-        console.log(`\x1b[31m✗\x1b[0m Authentication error`);
-        console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+        log.error(`\x1b[31m✗\x1b[0m Authentication error`);
+        log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
         return false;
     }
 }
@@ -174,7 +153,7 @@ async function login() {
 async function logout() {
     try {
         if (!isLoggedIn()) {
-            console.log('\n\x1b[2m✓ Not currently logged in\x1b[0m\n');
+            log.info('\n\x1b[2m✓ Not currently logged in\x1b[0m\n');
             return true;
         }
 
@@ -182,12 +161,12 @@ async function logout() {
 
         clearSession();
 
-        console.log(`\n\x1b[32m✓\x1b[0m \x1b[1mLogged out successfully\x1b[0m`);
-        console.log(`\x1b[2m  User: ${user.name}\x1b[0m\n`);
+        log.info(`\n\x1b[32m✓\x1b[0m \x1b[1mLogged out successfully\x1b[0m`);
+        log.info(`\x1b[2m  User: ${user.name}\x1b[0m\n`);
         return true;
     } catch (error) {
-        console.error(`\n\x1b[31m✗\x1b[0m Logout error`);
-        console.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
+        log.error(`\n\x1b[31m✗\x1b[0m Logout error`);
+        log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
         clearSession();
         return false;
     }
@@ -195,15 +174,18 @@ async function logout() {
 
 function status() {
     if (!isLoggedIn()) {
-        console.log('\n\x1b[2m› Not logged in\x1b[0m');
-        console.log('\x1b[2m  Run "leetcode-fetch login" to authenticate\x1b[0m\n');
+        log.info('\n\x1b[2m› Not logged in\x1b[0m');
+        log.info('\x1b[2m  Run "leetcode-fetch login" to authenticate\x1b[0m\n');
+        emitSummary({ loggedIn: false });
         return false;
     }
 
     const user = getUser();
-    console.log('\n\x1b[1mAuthentication Status\x1b[0m');
-    console.log(`\x1b[2m  User:\x1b[0m \x1b[36m${user.name}\x1b[0m`);
-    console.log(`\x1b[2m  Account:\x1b[0m ${user.paid ? '\x1b[33mPremium\x1b[0m' : '\x1b[2mFree\x1b[0m'}\n`);
+    log.info('\n\x1b[1mAuthentication Status\x1b[0m');
+    log.info(`\x1b[2m  User:\x1b[0m \x1b[36m${user.name}\x1b[0m`);
+    log.info(`\x1b[2m  Site:\x1b[0m ${getSiteConfig(user.site).name}`);
+    log.info(`\x1b[2m  Account:\x1b[0m ${user.paid ? '\x1b[33mPremium\x1b[0m' : '\x1b[2mFree\x1b[0m'}\n`);
+    emitSummary({ loggedIn: true, user: user.name, site: getSiteConfig(user.site).id, premium: Boolean(user.paid) });
     return true;
 }
 
@@ -215,7 +197,7 @@ if (require.main === module) {
             let success = false;
             switch (command) {
                 case 'login':
-                    success = await login();
+                    success = await login(process.argv.slice(3));
                     break;
                 case 'logout':
                     success = await logout();
@@ -224,12 +206,12 @@ if (require.main === module) {
                     success = status();
                     break;
                 default:
-                    console.error('Invalid command. Use: login, logout, or status');
+                    log.error('Invalid command. Use: login, logout, or status');
                     process.exit(1);
             }
             process.exit(success ? 0 : 1);
         } catch (error) {
-            console.error('Error:', error.message);
+            log.error('Error:', error.message);
             process.exit(1);
         }
     })();
@@ -0,0 +1,64 @@
+/**
+ * @file contest-manifest.js
+ * @description contests/<slug>/ manifests that list a contest's problems in contest order
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const CONTESTS_DIR = 'contests';
+const CONTEST_FILE = 'contest.json';
+const CONTEST_VERSION = 1;
+
+function parseContestSlug(value) {
+    const input = String(value || '').trim();
+    const urlMatch = input.match(/^(?:https?:\/\/)?(?:www\.)?leetcode\.(?:com|cn)\/contest\/([a-z0-9-]+)/i);
+    const slug = (urlMatch ? urlMatch[1] : input).toLowerCase();
+
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+        throw new Error(`Invalid contest: ${value}. Use a contest slug like weekly-contest-400 or a contest URL`);
+    }
+    return slug;
+}
+
+function getContestPath(datasetPath, slug) {
+    return path.join(datasetPath, CONTESTS_DIR, slug);
+}
+
+function buildContestReadme(manifest) {
+    const lines = [
+        `# [${manifest.title}](${manifest.url})`,
+        '',
+        `**Start:** ${manifest.startTime}`,
+        `**Duration:** ${Math.round(manifest.duration / 60)} minutes`,
+        '',
+        '| # | Problem | Difficulty | Points |',
+        '| :-: | :------ | :--------: | :----: |'
+    ];
+
+    for (const problem of manifest.problems) {
+        const link = `../../${problem.path.split(path.sep).join('/')}/description/problem.md`;
+        lines.push(`| ${problem.order} | [${problem.id}. ${problem.name}](${link}) | ${problem.difficulty} | ${problem.points} |`);
+    }
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+async function writeContestManifest(datasetPath, manifest) {
+    const contestPath = getContestPath(datasetPath, manifest.slug);
+    await fs.ensureDir(contestPath);
+    await fs.writeJson(path.join(contestPath, CONTEST_FILE), { version: CONTEST_VERSION, ...manifest }, { spaces: 2 });
+    await fs.writeFile(path.join(contestPath, 'README.md'), buildContestReadme(manifest), 'utf8');
+    return contestPath;
+}
+
+module.exports = {
+    CONTESTS_DIR,
+    CONTEST_FILE,
+    parseContestSlug,
+    getContestPath,
+    writeContestManifest
+};
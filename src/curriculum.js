@@ -0,0 +1,67 @@
+/**
+ * @file curriculum.js
+ * @description Ordered curriculum.json/README.md for study plans and favorite lists
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const CURRICULUM_FILE = 'curriculum.json';
+const CURRICULUM_VERSION = 1;
+const CURRICULUM_DIRS = {
+    'study-plan': 'study-plans',
+    'list': 'lists'
+};
+
+function parseCollectionSlug(value, optionName) {
+    const input = String(value || '').trim();
+    const urlMatch = input.match(/^(?:https?:\/\/)?(?:www\.)?leetcode\.(?:com|cn)\/(?:studyplan|problem-list|list)\/([a-z0-9-]+)/i);
+    const slug = urlMatch ? urlMatch[1] : input;
+
+    if (!/^[a-zA-Z0-9]+(?:-[a-zA-Z0-9]+)*$/.test(slug)) {
+        throw new Error(`Invalid ${optionName} value: ${value}. Use a slug like top-interview-150 or a LeetCode URL`);
+    }
+    return slug;
+}
+
+function getCurriculumPath(datasetPath, type, slug) {
+    return path.join(datasetPath, CURRICULUM_DIRS[type], slug);
+}
+
+function buildCurriculumReadme(curriculum) {
+    const lines = [`# [${curriculum.name}](${curriculum.url})`, ''];
+    if (curriculum.description) {
+        lines.push(curriculum.description, '');
+    }
+
+    for (const section of curriculum.sections) {
+        if (curriculum.sections.length > 1) {
+            lines.push(`## ${section.name}`, '');
+        }
+        lines.push('| # | Problem | Difficulty |', '| :-: | :------ | :--------: |');
+        for (const problem of section.problems) {
+            const link = `../../${problem.path.split(path.sep).join('/')}/description/problem.md`;
+            lines.push(`| ${problem.order} | [${problem.id}. ${problem.name}](${link}) | ${problem.difficulty} |`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+async function writeCurriculum(datasetPath, curriculum) {
+    const curriculumPath = getCurriculumPath(datasetPath, curriculum.type, curriculum.slug);
+    await fs.ensureDir(curriculumPath);
+    await fs.writeJson(path.join(curriculumPath, CURRICULUM_FILE), { version: CURRICULUM_VERSION, ...curriculum }, { spaces: 2 });
+    await fs.writeFile(path.join(curriculumPath, 'README.md'), buildCurriculumReadme(curriculum), 'utf8');
+    return curriculumPath;
+}
+
+module.exports = {
+    CURRICULUM_FILE,
+    parseCollectionSlug,
+    getCurriculumPath,
+    writeCurriculum
+};
@@ -0,0 +1,74 @@
+/**
+ * @file daily.js
+ * @description daily.json log mapping daily challenge dates to problems in a dataset
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const DAILY_FILE = 'daily.json';
+const DAILY_VERSION = 1;
+
+function parseArchiveMonth(value) {
+    const match = String(value || '').trim().match(/^(\d{4})-(\d{2})$/);
+    if (!match) {
+        throw new Error(`Invalid --daily-archive value: ${value}. Expected YYYY-MM, e.g. 2024-03`);
+    }
+
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12) {
+        throw new Error(`Invalid --daily-archive month: ${value}. Month must be between 01 and 12`);
+    }
+
+    return { year, month, label: match[0] };
+}
+
+async function loadDailyLog(datasetPath) {
+    const logPath = path.join(datasetPath, DAILY_FILE);
+    if (!await fs.pathExists(logPath)) {
+        return { version: DAILY_VERSION, days: {} };
+    }
+
+    try {
+        const data = await fs.readJson(logPath);
+        if (data && data.version === DAILY_VERSION && data.days) {
+            return data;
+        }
+    } catch (error) {
+        return { version: DAILY_VERSION, days: {} };
+    }
+    return { version: DAILY_VERSION, days: {} };
+}
+
+async function recordDailyQuestions(datasetPath, challenges) {
+    const log = await loadDailyLog(datasetPath);
+    for (const { date, problem } of challenges) {
+        log.days[date] = {
+            id: problem.id,
+            slug: problem.slug,
+            name: problem.name,
+            difficulty: problem.difficulty
+        };
+    }
+
+    const sortedDays = {};
+    for (const date of Object.keys(log.days).sort()) {
+        sortedDays[date] = log.days[date];
+    }
+    log.days = sortedDays;
+
+    const logPath = path.join(datasetPath, DAILY_FILE);
+    const tempPath = `${logPath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, log, { spaces: 2 });
+    await fs.rename(tempPath, logPath);
+}
+
+module.exports = {
+    DAILY_FILE,
+    parseArchiveMonth,
+    loadDailyLog,
+    recordDailyQuestions
+};
@@ -0,0 +1,245 @@
+/**
+ * @file dataset-index.js
+ * @description Dataset-level index.json describing every downloaded problem
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { readMetadata } = require('./metadata');
+const { DEFAULT_LAYOUT, getLayoutDepth, loadDatasetConfig } = require('./layout');
+const { LANGUAGE_EXT_MAP } = require('./languages');
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const PROBLEM_FOLDER_PATTERN = /^(\d+)_(\w+)_(.+)$/;
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+async function listDirs(dirPath) {
+    if (!await fs.pathExists(dirPath)) return [];
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries.filter(e => e.isDirectory()).map(e => e.name);
+}
+
+async function listFiles(dirPath) {
+    if (!await fs.pathExists(dirPath)) return [];
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries.filter(e => e.isFile()).map(e => e.name);
+}
+
+async function scanArtifacts(problemPath) {
+    const descriptionFiles = await listFiles(path.join(problemPath, 'description'));
+    const templateFiles = await listFiles(path.join(problemPath, 'templates'));
+    const extToLang = Object.keys(LANGUAGE_EXT_MAP).reduce((map, lang) => {
+        map[LANGUAGE_EXT_MAP[lang]] = lang;
+        return map;
+    }, {});
+
+    const formats = [];
+    if (descriptionFiles.includes('problem.html')) formats.push('html');
+    if (descriptionFiles.includes('problem.md')) formats.push('md');
+    if (descriptionFiles.includes('problem.raw.txt')) formats.push('raw');
+    if (descriptionFiles.includes('problem.bundle.html')) formats.push('html-bundle');
+
+    return {
+        description: formats,
+        templates: templateFiles
+            .filter(f => f.startsWith('solution.'))
+            .map(f => extToLang[f.replace('solution.', '')])
+            .filter(Boolean),
+        official: await fs.pathExists(path.join(problemPath, 'solutions', 'official', 'solution.md')),
+        community: await listDirs(path.join(problemPath, 'solutions', 'community')),
+        mine: await listDirs(path.join(problemPath, 'solutions', 'mine'))
+    };
+}
+
+async function hashArtifacts(problemPath) {
+    const hashes = {};
+    const dirs = ['description', 'templates', path.join('solutions', 'official')];
+
+    for (const dir of dirs) {
+        for (const file of await listFiles(path.join(problemPath, dir))) {
+            const relativePath = path.join(dir, file).split(path.sep).join('/');
+            hashes[relativePath] = await hashFile(path.join(problemPath, dir, file));
+        }
+    }
+
+    for (const group of ['community', 'mine']) {
+        const groupDir = path.join('solutions', group);
+        for (const lang of await listDirs(path.join(problemPath, groupDir))) {
+            for (const file of await listFiles(path.join(problemPath, groupDir, lang))) {
+                const relativePath = path.join(groupDir, lang, file).split(path.sep).join('/');
+                hashes[relativePath] = await hashFile(path.join(problemPath, groupDir, lang, file));
+            }
+        }
+    }
+
+    return hashes;
+}
+
+async function buildIndexEntry(datasetPath, problemPath) {
+    const folder = path.basename(problemPath);
+    const relativePath = path.relative(datasetPath, problemPath).split(path.sep).join('/');
+    const metadata = await readMetadata(problemPath);
+    const artifacts = await scanArtifacts(problemPath);
+    const stat = await fs.stat(problemPath);
+
+    let entry;
+    if (metadata) {
+        entry = {
+            id: metadata.id,
+            slug: metadata.slug,
+            name: metadata.name,
+            difficulty: metadata.difficulty,
+            tags: (metadata.tags || []).map(t => t.slug),
+            languages: metadata.languages || [],
+            contentHash: metadata.contentHash || null,
+            fetchedAt: metadata.fetchedAt
+        };
+    } else {
+        const match = folder.match(PROBLEM_FOLDER_PATTERN);
+        if (!match) return null;
+        entry = {
+            id: String(parseInt(match[1], 10)),
+            slug: null,
+            name: match[3],
+            difficulty: match[2],
+            tags: [path.basename(path.dirname(problemPath))],
+            languages: artifacts.templates,
+            contentHash: null,
+            fetchedAt: stat.mtime.toISOString()
+        };
+    }
+
+    return {
+        ...entry,
+        path: relativePath,
+        artifacts,
+        hashes: await hashArtifacts(problemPath)
+    };
+}
+
+class DatasetIndex {
+    constructor(datasetPath) {
+        this.datasetPath = datasetPath;
+        this.filePath = path.join(datasetPath, INDEX_FILE);
+        this.problems = {};
+        this.writeQueue = Promise.resolve();
+        this.pendingSave = null;
+    }
+
+    async load() {
+        if (await fs.pathExists(this.filePath)) {
+            try {
+                const data = await fs.readJson(this.filePath);
+                if (data && data.version === INDEX_VERSION && data.problems) {
+                    this.problems = data.problems;
+                }
+            } catch (error) {
+                this.problems = {};
+            }
+        }
+        return this;
+    }
+
+    get(problemId) {
+        return this.problems[problemId] || null;
+    }
+
+    get size() {
+        return Object.keys(this.problems).length;
+    }
+
+    async update(problemId, problemPath) {
+        const entry = await buildIndexEntry(this.datasetPath, problemPath);
+        if (!entry) return null;
+        this.problems[problemId] = entry;
+        await this.save();
+        return entry;
+    }
+
+    save() {
+        if (this.pendingSave) {
+            return this.pendingSave;
+        }
+
+        this.pendingSave = this.writeQueue.then(async () => {
+            this.pendingSave = null;
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeJson(tempPath, {
+                version: INDEX_VERSION,
+                updatedAt: new Date().toISOString(),
+                problems: this.problems
+            }, { spaces: 2 });
+            await fs.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = this.pendingSave.catch(() => {});
+        return this.pendingSave;
+    }
+}
+
+async function findProblemFolders(datasetPath, layout = DEFAULT_LAYOUT) {
+    const folders = [];
+    const depth = getLayoutDepth(layout);
+
+    const walk = async (dirPath, level) => {
+        for (const dir of await listDirs(dirPath)) {
+            if (dir.startsWith('.')) continue;
+            const dirPathNext = path.join(dirPath, dir);
+
+            if (level < depth) {
+                await walk(dirPathNext, level + 1);
+            } else if (PROBLEM_FOLDER_PATTERN.test(dir) || await readMetadata(dirPathNext)) {
+                folders.push(dirPathNext);
+            }
+        }
+    };
+
+    await walk(datasetPath, 1);
+    return folders;
+}
+
+async function rebuildIndex(datasetPath, onProgress = () => {}) {
+    const index = new DatasetIndex(datasetPath);
+    const { layout } = await loadDatasetConfig(datasetPath);
+    const folders = await findProblemFolders(datasetPath, layout);
+
+    for (let i = 0; i < folders.length; i++) {
+        const entry = await buildIndexEntry(datasetPath, folders[i]);
+        if (entry) {
+            index.problems[entry.id] = entry;
+        }
+        onProgress(i + 1, folders.length);
+    }
+
+    await index.save();
+    return index;
+}
+
+async function loadIndex(datasetPath) {
+    if (!await fs.pathExists(path.join(datasetPath, INDEX_FILE))) {
+        return null;
+    }
+    const index = await new DatasetIndex(datasetPath).load();
+    return index.size > 0 ? index : null;
+}
+
+module.exports = {
+    INDEX_FILE,
+    DatasetIndex,
+    buildIndexEntry,
+    findProblemFolders,
+    rebuildIndex,
+    loadIndex
+};
@@ -7,8 +7,46 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const axios = require('axios');
-const { getSessionCookies, getUser, verifySession } = require('./session');
+const http = require('./http');
+const { getSessionCookies, getSite, getUser, verifySession } = require('./session');
+const { getCookieHeader, getSiteConfig } = require('./site');
+const { buildMetadata, writeMetadata, readMetadata, hashContent } = require('./metadata');
+const { DatasetIndex, loadIndex } = require('./dataset-index');
+const {
+    parseDifficulties,
+    parseSlugList,
+    parseIdRange,
+    parseDuration,
+    hasProblemFilters,
+    describeProblemFilters,
+    applyProblemFilters
+} = require('./filters');
+const { DEFAULT_TTL, loadProblemList, saveProblemList } = require('./problem-list-cache');
+const { runWorkerPool } = require('./worker-pool');
+const { FAILURE_KINDS, parseFailureKinds, selectFailures, countFailures } = require('./failures');
+const { emit, emitSummary } = require('./events');
+const { DAILY_FILE, parseArchiveMonth, recordDailyQuestions } = require('./daily');
+const { CONTESTS_DIR, parseContestSlug, getContestPath, writeContestManifest } = require('./contest-manifest');
+const { CURRICULUM_FILE, parseCollectionSlug, getCurriculumPath, writeCurriculum } = require('./curriculum');
+const {
+    DATASET_FILE,
+    DEFAULT_LAYOUT,
+    LAYOUT_TOKENS,
+    LINK_DIRS,
+    sanitizeFolderName,
+    parseLayout,
+    renderLayout,
+    loadDatasetConfig,
+    saveDatasetConfig,
+    linkProblem
+} = require('./layout');
+const { IMAGE_STORE_DIR, parseImageStoreMode, openImageStore } = require('./image-store');
+const { convertHtmlToMarkdown } = require('./html-markdown');
+const { findPlaygroundEmbeds, renderPlaygroundCode, replacePlaygroundEmbeds } = require('./playground');
+const { getDefaultTemplate, renderTemplate, loadPageTemplates } = require('./page-template');
+const { BUNDLE_FILE, buildProblemBundle } = require('./html-bundle');
+const { log, Spinner } = require('./logger');
+const { LANGUAGE_EXT_MAP } = require('./languages');
 
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000;
@@ -17,118 +55,185 @@ async function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// For failures http cannot see, such as an empty GraphQL answer. HTTP errors carry the
+// attempts http already made (429/5xx/network backoff), so they are final here.
 async function retryAsync(fn, retries = MAX_RETRIES, delay = RETRY_DELAY) {
     for (let i = 0; i < retries; i++) {
         try {
             return await fn();
         } catch (error) {
-            if (i === retries - 1) throw error;
-            await sleep(delay * (i + 1));
+            if (i === retries - 1 || error.attempts !== undefined) throw error;
+            log.debug(`  Retrying after error (${i + 1}/${retries - 1}): ${error.message}`);
+            const backoff = delay * Math.pow(2, i);
+            await sleep(backoff + backoff * 0.2 * Math.random());
         }
     }
 }
 
-class Spinner {
-    constructor(message = 'Loading') {
-        this.frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-        this.currentFrame = 0;
-        this.message = message;
-        this.interval = null;
-    }
-
-    start() {
-        this.interval = setInterval(() => {
-            process.stdout.write(`\r\x1b[2m${this.frames[this.currentFrame]} ${this.message}...\x1b[0m`);
-            this.currentFrame = (this.currentFrame + 1) % this.frames.length;
-        }, 80);
-    }
-
-    stop(clearLine = true) {
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = null;
-            if (clearLine) {
-                process.stdout.write('\r\x1b[K');
-            }
-        }
-    }
-
-    update(message) {
-        this.message = message;
-    }
-}
-
-
 const workDir = process.cwd();
 
-const LANGUAGE_EXT_MAP = {
-    'cpp': 'cpp',
-    'java': 'java',
-    'python3': 'py',
-    'python': 'py2',
-    'javascript': 'js',
-    'typescript': 'ts',
-    'csharp': 'cs',
-    'c': 'c',
-    'golang': 'go',
-    'kotlin': 'kt',
-    'swift': 'swift',
-    'rust': 'rs',
-    'ruby': 'rb',
-    'php': 'php',
-    'dart': 'dart',
-    'scala': 'scala',
-    'elixir': 'ex',
-    'erlang': 'erl',
-    'racket': 'rkt',
-    'mysql': 'sql',
-    'mssql': 'mssql.sql',
-    'postgresql': 'pgsql.sql',
-    'oraclesql': 'oracle.sql',
-    'pythondata': 'pandas.py',
-    'bash': 'sh'
-};
-
 function parseArgs(startIndex = 2, customArgs = null) {
     const args = customArgs || process.argv.slice(startIndex);
     const config = {
-        problemId: null,
+        problemIds: [],
+        idsFile: null,
         dataDir: null,
         formats: ['html', 'md', 'raw'],
         fetchTemplates: true,
         fetchSolutions: true,
         fetchOfficialSolution: true,
-        concurrency: 5
+        fetchMine: false,
+        communityTop: 1,
+        communityOrder: 'most_votes',
+        concurrency: 5,
+        rps: http.DEFAULT_RPS,
+        difficulties: null,
+        tags: null,
+        companies: null,
+        range: null,
+        freeOnly: false,
+        refresh: false,
+        since: null,
+        refreshList: false,
+        listTtl: DEFAULT_TTL,
+        site: null,
+        translations: false,
+        daily: false,
+        dailyArchive: null,
+        contest: null,
+        list: null,
+        studyPlan: null,
+        layout: null,
+        links: [],
+        imageStore: null,
+        htmlTemplate: null,
+        mdTemplate: null,
+        dryRun: false,
+        retryFailed: false,
+        retryReasons: null
     };
 
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
 
         if (arg === '--help' || arg === '-h') {
-            console.log(`
+            log.print(`
 LeetCode Problem Downloader
 
-Usage: leetcode-fetch download [problemId] [options]
+Usage: leetcode-fetch download [problem...] [options]
 
 Arguments:
-  problemId                 Download specific problem by ID (optional, default: download all)
+  problem                   Problem ID, title slug or URL (optional, default: download all)
+                            Several problems can be given at once
+                            Example: 1 two-sum https://leetcode.com/problems/add-two-numbers/
 
 Options:
   --data-dir, -d <path>    Data directory (default: data/downloads)
                            Example: -d data/leetcode-problems-251216
 
+  --ids-file <path>        File with problem IDs, slugs or URLs to download
+                           (one per line or comma-separated, # starts a comment)
+
+  --daily                  Download today's daily coding challenge
+  --daily-archive <month>  Download every daily challenge of a month (YYYY-MM)
+                           Example: --daily-archive 2024-03
+                           Dates and problem IDs are logged in ${DAILY_FILE}
+
+  --contest <slug>         Download a contest's problems in contest order and write
+                           ${CONTESTS_DIR}/<slug>/contest.json with start time and points
+                           Example: --contest weekly-contest-400
+
+  --list <slug>            Download a favorite list (yours or public) in list order
+  --study-plan <slug>      Download a study plan, keeping its sections and order
+                           Both write an ordered ${CURRICULUM_FILE} and README.md under
+                           lists/<slug>/ or study-plans/<slug>/
+                           Example: --study-plan top-interview-150
+
   --formats, -f <formats>   Comma-separated list of formats to save
-                            Available: html, md, raw
-                            Default: all formats
+                            Available: html, md, raw, html-bundle
+                            Default: html, md, raw
+                            html-bundle writes ${BUNDLE_FILE}: one self-contained page with
+                            the description, code templates and solutions, syntax highlighting,
+                            light/dark themes and images inlined, to email or open on a phone
                             Example: -f html,md
 
   --no-templates           Don't download code templates
   --no-solutions           Don't download community solutions
   --no-official            Don't download official solutions
+  --community-top <num>    Number of community solutions per language (default: 1)
+                           Example: --community-top 3
+  --community-order <order>
+                           Community solution ordering: most_votes, hot, newest_to_oldest
+                           Default: most_votes
+
+  --mine                   Also download your newest accepted submission per language
+                           (saved under solutions/mine/<lang>/)
 
   --concurrency, -c <num>  Number of concurrent downloads (default: 5)
                            Example: -c 10
 
+  --rps <num>              Maximum requests per second across all workers (default: ${http.DEFAULT_RPS})
+                           Slows down automatically on HTTP 429/5xx and honors Retry-After
+                           Example: --rps 2
+
+  --layout <template>      Folder layout for new datasets (default: "${DEFAULT_LAYOUT}")
+                           Tokens: ${LAYOUT_TOKENS.map(t => `{${t}}`).join(', ')}; {id:04} pads with zeros
+                           Recorded in ${DATASET_FILE}; later runs reuse it automatically
+                           Example: --layout "{difficulty}/{id:04}-{slug}"
+  --links <kinds>          Also link each problem from every tag and/or company
+                           Available: tags (${LINK_DIRS.tags}/), companies (${LINK_DIRS.companies}/)
+                           Example: --links tags,companies
+  --image-store <mode>     Store images once per dataset in ${IMAGE_STORE_DIR}/, keyed by content hash
+                           link: hard link them into each problem's images folder
+                           ref:  reference the store with relative paths (smallest pack archives)
+                           none: keep separate copies per problem (default)
+                           Images that fail are retried on the next run
+                           Recorded in ${DATASET_FILE}; later runs reuse it automatically
+  --html-template <file>   Render problem.html from this template instead of the built-in layout
+  --md-template <file>     Render problem.md from this template, e.g. to add YAML front matter
+                           Fields: {{id}} {{name}} {{url}} {{category}} {{difficulty}} {{likes}}
+                           {{dislikes}} {{body}} {{submissionsUrl}} {{solutionsUrl}}
+                           Lists: {{#tags}}{{name}} {{url}}{{/tags}} {{#companies}}{{name}}{{/companies}}
+                           The built-in layouts in page-templates/ are a starting point
+
+  --dry-run                Print which problems would be fetched, retried or skipped
+                           without writing or downloading anything
+
+  --site <site>            Site to download from: com, cn (default: the site you logged in to)
+                           Must match the login session; use "login --site cn" for leetcode.cn
+  --zh                     Also save the Chinese translation as problem.zh.html/problem.zh.md
+                           (leetcode.cn only)
+
+Refresh (bulk download only):
+  --refresh                Re-check completed problems and re-download the ones whose
+                           statement, languages or editorial changed
+  --since <age>            With --refresh, skip problems fetched within this period
+                           Units: h (hours), d (days), w (weeks)
+                           Example: --refresh --since 30d
+
+Retry (bulk download only):
+  --retry-failed           Only re-run the problems in the failed map of .download-progress.json,
+                           fetching just their missing pieces, then print a before/after table
+  --reason <list>          With --retry-failed, only retry failures of these kinds
+                           Reasons: ${Object.keys(FAILURE_KINDS).join(', ')}
+                           Example: --retry-failed --reason community,official
+
+Problem list cache (bulk download only):
+  --refresh-list           Ignore the cached problem list and fetch it again
+  --list-ttl <age>         How long the cached problem list stays valid (default: 24h)
+                           Example: --list-ttl 7d
+
+Filters (bulk download only):
+  --difficulty <list>      Comma-separated difficulties: easy, medium, hard
+                           Example: --difficulty easy,medium
+  --tags <slugs>           Comma-separated topic tag slugs (matches any)
+                           Example: --tags dynamic-programming,graph
+  --companies <slugs>      Comma-separated company slugs (matches any)
+                           Example: --companies google,amazon
+  --range <from-to>        Problem ID range, inclusive
+                           Example: --range 1-500
+  --free-only              Only download free problems
+
   --help, -h               Show this help message
 
 Note:
@@ -139,10 +244,26 @@ Note:
 
 Examples:
   leetcode-fetch download 1                            # Download problem #1 with all formats
+  leetcode-fetch download two-sum 2 3                  # Download several problems by slug or ID
+  leetcode-fetch download --ids-file ids.txt           # Download problems listed in a file
+  leetcode-fetch download --daily                      # Download today's daily challenge
+  leetcode-fetch download --daily-archive 2024-03      # Download March 2024's daily challenges
+  leetcode-fetch download --contest weekly-contest-400 # Download a contest's problems
+  leetcode-fetch download --study-plan top-interview-150  # Download a study plan in order
   leetcode-fetch download -f md                        # Download all problems, markdown only
   leetcode-fetch download 1 -f md --no-templates       # Download #1, markdown only, no templates
   leetcode-fetch download --no-solutions --no-official # Download all problems, templates only
   leetcode-fetch download -d data/my-dataset           # Download to custom directory
+  leetcode-fetch download 1 --mine                     # Include your accepted submissions
+  leetcode-fetch download 1 --community-top 5 --community-order hot
+  leetcode-fetch download --difficulty easy --range 1-500  # Easy problems among #1-#500
+  leetcode-fetch download --tags graph --free-only     # Free graph problems only
+  leetcode-fetch download --refresh --since 30d        # Update problems older than 30 days
+  leetcode-fetch download --retry-failed --reason community  # Retry missing community solutions
+  leetcode-fetch download --difficulty hard --dry-run  # Preview a crawl without downloading
+  leetcode-fetch download 1 --site cn --zh             # leetcode.cn with Chinese translation
+  leetcode-fetch download -d data/by-level --layout "{difficulty}/{id:04}-{slug}" --links tags
+  leetcode-fetch download --image-store ref           # Deduplicate images across the dataset
             `);
             process.exit(0);
         } else if (arg === '--data-dir' || arg === '-d') {
@@ -156,49 +277,159 @@ Examples:
             config.fetchSolutions = false;
         } else if (arg === '--no-official') {
             config.fetchOfficialSolution = false;
+        } else if (arg === '--mine') {
+            config.fetchMine = true;
+        } else if (arg === '--community-top') {
+            const top = parseInt(args[++i], 10);
+            if (!(top > 0)) {
+                throw new Error('Invalid --community-top value. Expected a positive number');
+            }
+            config.communityTop = top;
+        } else if (arg === '--community-order') {
+            const order = (args[++i] || '').trim().toLowerCase();
+            if (!COMMUNITY_ORDERS.includes(order)) {
+                throw new Error(`Invalid community order: ${order}. Valid orders: ${COMMUNITY_ORDERS.join(', ')}`);
+            }
+            config.communityOrder = order;
         } else if (arg === '--concurrency' || arg === '-c') {
             const concurrency = parseInt(args[++i], 10);
-            if (concurrency > 0) {
-                config.concurrency = concurrency;
+            if (!(concurrency > 0)) {
+                throw new Error('Invalid --concurrency value. Expected a positive number');
+            }
+            config.concurrency = concurrency;
+        } else if (arg === '--rps') {
+            const rps = parseFloat(args[++i]);
+            if (!(rps > 0)) {
+                throw new Error('Invalid --rps value. Expected a positive number');
+            }
+            config.rps = rps;
+        } else if (arg === '--difficulty') {
+            config.difficulties = parseDifficulties(args[++i]);
+        } else if (arg === '--tags') {
+            config.tags = parseSlugList(args[++i]);
+        } else if (arg === '--companies') {
+            config.companies = parseSlugList(args[++i]);
+        } else if (arg === '--range') {
+            config.range = parseIdRange(args[++i]);
+        } else if (arg === '--free-only') {
+            config.freeOnly = true;
+        } else if (arg === '--refresh-list') {
+            config.refreshList = true;
+        } else if (arg === '--list-ttl') {
+            config.listTtl = parseDuration(args[++i], '--list-ttl');
+        } else if (arg === '--retry-failed') {
+            config.retryFailed = true;
+        } else if (arg === '--reason') {
+            config.retryReasons = parseFailureKinds(args[++i]);
+        } else if (arg === '--refresh') {
+            config.refresh = true;
+        } else if (arg === '--since') {
+            config.since = new Date(Date.now() - parseDuration(args[++i], '--since'));
+        } else if (arg === '--ids-file') {
+            config.idsFile = args[++i];
+        } else if (arg === '--daily') {
+            config.daily = true;
+        } else if (arg === '--daily-archive') {
+            config.dailyArchive = parseArchiveMonth(args[++i]);
+        } else if (arg === '--contest') {
+            config.contest = parseContestSlug(args[++i]);
+        } else if (arg === '--list') {
+            config.list = parseCollectionSlug(args[++i], '--list');
+        } else if (arg === '--study-plan') {
+            config.studyPlan = parseCollectionSlug(args[++i], '--study-plan');
+        } else if (arg === '--dry-run') {
+            config.dryRun = true;
+        } else if (arg === '--layout') {
+            config.layout = parseLayout(args[++i]);
+        } else if (arg === '--links') {
+            const kinds = parseSlugList(args[++i]);
+            const invalid = kinds.filter(kind => !LINK_DIRS[kind]);
+            if (invalid.length > 0) {
+                throw new Error(`Invalid --links value: ${invalid.join(', ')}. Valid values: ${Object.keys(LINK_DIRS).join(', ')}`);
             }
+            config.links = kinds;
+        } else if (arg === '--image-store') {
+            config.imageStore = parseImageStoreMode(args[++i]);
+        } else if (arg === '--html-template') {
+            config.htmlTemplate = args[++i];
+        } else if (arg === '--md-template') {
+            config.mdTemplate = args[++i];
+        } else if (arg === '--site') {
+            config.site = getSiteConfig((args[++i] || '').trim().toLowerCase()).id;
+        } else if (arg === '--zh') {
+            config.translations = true;
         } else if (!arg.startsWith('-')) {
-            config.problemId = arg;
+            config.problemIds.push(arg);
         }
     }
 
     return config;
 }
 
+const COMMUNITY_ORDERS = ['most_votes', 'hot', 'newest_to_oldest'];
+
+function buildQuestionListFilters(config) {
+    const filters = {};
+    if (config.difficulties && config.difficulties.length === 1) {
+        filters.difficulty = config.difficulties[0].toUpperCase();
+    }
+    if (config.tags && config.tags.length === 1) {
+        filters.tags = config.tags;
+    }
+    if (config.freeOnly) {
+        filters.premiumOnly = false;
+    }
+    return filters;
+}
+
+function getRequestHeaders(site, cookies, refererPath) {
+    return {
+        'Cookie': getCookieHeader(site, cookies.session, cookies.csrf),
+        'X-CSRFToken': cookies.csrf,
+        'Content-Type': 'application/json',
+        'Origin': site.baseUrl,
+        'Referer': `${site.baseUrl}${refererPath}`
+    };
+}
+
 async function fetchFromLeetCodeAPI(query, variables = {}) {
     const cookies = getSessionCookies();
     if (!cookies) {
         throw new Error('No session cookies found. Please login first.');
     }
 
+    const site = getSite();
     try {
-        const response = await axios.post(
-            'https://leetcode.com/graphql',
+        const response = await http.post(
+            site.graphqlUrl,
             { query, variables },
-            {
-                headers: {
-                    'Cookie': `LEETCODE_SESSION=${cookies.session};csrftoken=${cookies.csrf};`,
-                    'X-CSRFToken': cookies.csrf,
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://leetcode.com',
-                    'Referer': 'https://leetcode.com/problemset/'
-                }
-            }
+            { headers: getRequestHeaders(site, cookies, '/problemset/') }
         );
         return response.data;
     } catch (error) {
-        throw new Error(`LeetCode API request failed: ${error.message}`);
+        const requestError = new Error(`LeetCode API request failed: ${error.message}`);
+        requestError.status = error.status;
+        requestError.attempts = error.attempts;
+        throw requestError;
     }
 }
 
-async function listProblems() {
-    console.log('Fetching problems list from LeetCode API...');
+function toProblem(q) {
+    return {
+        id: q.questionFrontendId,
+        name: q.title,
+        slug: q.titleSlug,
+        difficulty: q.difficulty,
+        locked: q.isPaidOnly,
+        // Unknown when the query has no status field (study plans, lists), so --mine still checks
+        solved: q.status === undefined ? undefined : q.status === 'ac',
+        tags: q.topicTags.map(t => t.slug),
+        companies: q.companyTags ? q.companyTags.map(c => c.slug) : []
+    };
+}
 
-    const query = `
+const QUESTION_LIST_QUERIES = {
+    com: `
         query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
             problemsetQuestionList: questionList(
                 categorySlug: $categorySlug
@@ -214,6 +445,7 @@ async function listProblems() {
                     titleSlug
                     difficulty
                     isPaidOnly
+                    status
                     topicTags {
                         name
                         slug
@@ -225,7 +457,62 @@ async function listProblems() {
                 }
             }
         }
-    `;
+    `,
+    cn: `
+        query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
+            problemsetQuestionList(
+                categorySlug: $categorySlug
+                limit: $limit
+                skip: $skip
+                filters: $filters
+            ) {
+                total
+                questions {
+                    frontendQuestionId
+                    title
+                    titleSlug
+                    difficulty
+                    paidOnly
+                    status
+                    topicTags {
+                        name
+                        slug
+                    }
+                }
+            }
+        }
+    `
+};
+
+// leetcode.cn, study plans and favorite lists name these fields differently
+// and upper-case difficulty and status
+function normalizeQuestion(q) {
+    return {
+        ...q,
+        questionFrontendId: q.questionFrontendId || q.frontendQuestionId,
+        isPaidOnly: q.isPaidOnly !== undefined ? q.isPaidOnly : q.paidOnly,
+        difficulty: q.difficulty ? q.difficulty.charAt(0) + q.difficulty.slice(1).toLowerCase() : q.difficulty,
+        status: q.status ? q.status.toLowerCase() : q.status
+    };
+}
+
+async function queryQuestionList(variables) {
+    const site = getSite();
+    const data = await fetchFromLeetCodeAPI(QUESTION_LIST_QUERIES[site.id], variables);
+
+    if (!data.data || !data.data.problemsetQuestionList) {
+        throw new Error('Failed to fetch problems list');
+    }
+
+    const result = data.data.problemsetQuestionList;
+    return {
+        total: result.total,
+        questions: site.id === 'cn' ? result.questions.map(normalizeQuestion) : result.questions
+    };
+}
+
+async function listProblems(filters = {}) {
+    log.info(`Fetching problems list from ${getSite().name}...`);
 
     const problems = [];
     const limit = 100;
@@ -233,30 +520,16 @@ async function listProblems() {
     let total = 0;
 
     do {
-        const data = await fetchFromLeetCodeAPI(query, {
+        const result = await queryQuestionList({
             categorySlug: '',
             limit,
             skip,
-            filters: {}
+            filters
         });
-
-        if (!data.data || !data.data.problemsetQuestionList) {
-            throw new Error('Failed to fetch problems list');
-        }
-
-        const result = data.data.problemsetQuestionList;
         total = result.total;
 
         for (const q of result.questions) {
-            problems.push({
-                id: q.questionFrontendId,
-                name: q.title,
-                slug: q.titleSlug,
-                difficulty: q.difficulty,
-                locked: q.isPaidOnly,
-                tags: q.topicTags.map(t => t.slug),
-                companies: q.companyTags ? q.companyTags.map(c => c.slug) : []
-            });
+            problems.push(toProblem(q));
         }
 
         skip += limit;
@@ -265,7 +538,21 @@ async function listProblems() {
     return problems;
 }
 
+// Company tags are only exposed on leetcode.com; translations only on leetcode.cn
+const COMPANY_TAG_FIELDS = `
+    companyTags {
+        name
+        slug
+    }
+`;
+
+const TRANSLATION_FIELDS = `
+    translatedTitle
+    translatedContent
+`;
+
 async function getProblemDescription(problemSlug) {
+    const site = getSite();
     const query = `
         query questionContent($titleSlug: String!) {
             question(titleSlug: $titleSlug) {
@@ -278,14 +565,19 @@ async function getProblemDescription(problemSlug) {
                 likes
                 dislikes
                 categoryTitle
+                isPaidOnly
+                hints
+                similarQuestions
+                exampleTestcaseList
+                sampleTestCase
+                metaData
+                stats
                 topicTags {
                     name
                     slug
                 }
-                companyTags {
-                    name
-                    slug
-                }
+                ${site.id === 'com' ? COMPANY_TAG_FIELDS : ''}
+                ${site.hasTranslations ? TRANSLATION_FIELDS : ''}
                 codeSnippets {
                     lang
                     langSlug
@@ -304,6 +596,316 @@ async function getProblemDescription(problemSlug) {
     return data.data.question;
 }
 
+function parseProblemRef(input) {
+    const value = String(input).trim();
+
+    const urlMatch = value.match(/^(?:https?:\/\/)?(?:www\.)?leetcode\.(?:com|cn)\/problems\/([a-z0-9-]+)/i);
+    if (urlMatch) {
+        return { type: 'slug', value: urlMatch[1].toLowerCase(), input: value };
+    }
+
+    if (/^\d+$/.test(value)) {
+        return { type: 'id', value: String(parseInt(value, 10)), input: value };
+    }
+
+    if (/^[a-z0-9]+(?:-[a-z0-9]+)*$/i.test(value)) {
+        return { type: 'slug', value: value.toLowerCase(), input: value };
+    }
+
+    throw new Error(`Invalid problem reference: ${value}. Use a problem ID, title slug or problem URL`);
+}
+
+async function readProblemRefsFile(filePath) {
+    const resolvedPath = path.resolve(workDir, filePath);
+    if (!await fs.pathExists(resolvedPath)) {
+        throw new Error(`IDs file not found: ${filePath}`);
+    }
+
+    const content = await fs.readFile(resolvedPath, 'utf8');
+    return content
+        .split('\n')
+        .map(line => line.replace(/#.*$/, ''))
+        .flatMap(line => line.split(/[,\s]+/))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+function getProblemFields(site) {
+    return `
+        questionFrontendId
+        title
+        titleSlug
+        difficulty
+        isPaidOnly
+        status
+        topicTags {
+            name
+            slug
+        }
+        ${site.id === 'com' ? COMPANY_TAG_FIELDS : ''}
+    `;
+}
+
+async function resolveProblemBySlug(slug) {
+    const query = `
+        query questionTitle($titleSlug: String!) {
+            question(titleSlug: $titleSlug) {
+                ${getProblemFields(getSite())}
+            }
+        }
+    `;
+
+    const data = await fetchFromLeetCodeAPI(query, { titleSlug: slug });
+    const q = data.data && data.data.question;
+    if (!q || q.titleSlug !== slug) {
+        return null;
+    }
+    return toProblem(q);
+}
+
+async function resolveProblemById(id) {
+    const result = await queryQuestionList({
+        categorySlug: '',
+        limit: 50,
+        skip: 0,
+        filters: { searchKeywords: id }
+    });
+
+    const q = result.questions.find(question => question.questionFrontendId === id);
+    return q ? toProblem(q) : null;
+}
+
+async function resolveProblem(input) {
+    const ref = parseProblemRef(input);
+    const problem = ref.type === 'id'
+        ? await retryAsync(() => resolveProblemById(ref.value))
+        : await retryAsync(() => resolveProblemBySlug(ref.value));
+
+    if (!problem) {
+        throw new Error(`Problem ${ref.input} not found`);
+    }
+    return problem;
+}
+
+async function getDailyChallenge() {
+    const site = getSite();
+    const query = site.id === 'cn'
+        ? `
+            query questionOfToday {
+                todayRecord {
+                    date
+                    question {
+                        ${getProblemFields(site)}
+                    }
+                }
+            }
+        `
+        : `
+            query questionOfToday {
+                activeDailyCodingChallengeQuestion {
+                    date
+                    question {
+                        ${getProblemFields(site)}
+                    }
+                }
+            }
+        `;
+
+    const data = await fetchFromLeetCodeAPI(query);
+    const record = data.data && (site.id === 'cn'
+        ? (data.data.todayRecord || [])[0]
+        : data.data.activeDailyCodingChallengeQuestion);
+
+    if (!record || !record.question) {
+        throw new Error('Failed to fetch the daily challenge');
+    }
+
+    return { date: record.date, problem: toProblem(record.question) };
+}
+
+async function getDailyArchive(year, month) {
+    const site = getSite();
+    const query = site.id === 'cn'
+        ? `
+            query dailyQuestionRecords($year: Int!, $month: Int!) {
+                dailyQuestionRecords(year: $year, month: $month) {
+                    date
+                    question {
+                        ${getProblemFields(site)}
+                    }
+                }
+            }
+        `
+        : `
+            query dailyCodingQuestionRecords($year: Int!, $month: Int!) {
+                dailyCodingChallengeV2(year: $year, month: $month) {
+                    challenges {
+                        date
+                        question {
+                            ${getProblemFields(site)}
+                        }
+                    }
+                }
+            }
+        `;
+
+    const data = await fetchFromLeetCodeAPI(query, { year, month });
+    const records = data.data && (site.id === 'cn'
+        ? data.data.dailyQuestionRecords
+        : data.data.dailyCodingChallengeV2 && data.data.dailyCodingChallengeV2.challenges);
+
+    if (!records) {
+        throw new Error(`Failed to fetch daily challenges for ${year}-${String(month).padStart(2, '0')}`);
+    }
+
+    return records
+        .filter(record => record.question)
+        .map(record => ({ date: record.date, problem: toProblem(record.question) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function getContestInfo(contestSlug) {
+    const cookies = getSessionCookies();
+    if (!cookies) {
+        throw new Error('No session cookies found. Please login first.');
+    }
+
+    const site = getSite();
+    let response;
+    try {
+        response = await http.get(`${site.baseUrl}/contest/api/info/${contestSlug}/`, {
+            headers: getRequestHeaders(site, cookies, `/contest/${contestSlug}/`)
+        });
+    } catch (error) {
+        const contestError = new Error(error.status === 404
+            ? `Contest ${contestSlug} not found`
+            : `Failed to fetch contest ${contestSlug}: ${error.message}`);
+        contestError.status = error.status;
+        contestError.attempts = error.attempts;
+        throw contestError;
+    }
+
+    const data = response.data;
+    if (!data || !data.contest || !Array.isArray(data.questions)) {
+        throw new Error(`Contest ${contestSlug} not found`);
+    }
+
+    return {
+        slug: contestSlug,
+        title: data.contest.title,
+        url: `${site.baseUrl}/contest/${contestSlug}/`,
+        startTime: new Date(data.contest.start_time * 1000).toISOString(),
+        duration: data.contest.duration,
+        questions: data.questions.map(q => ({
+            slug: q.title_slug,
+            title: q.title,
+            points: q.credit
+        }))
+    };
+}
+
+const COLLECTION_QUESTION_FIELDS = `
+    questionFrontendId
+    title
+    titleSlug
+    difficulty
+    paidOnly
+    topicTags {
+        name
+        slug
+    }
+`;
+
+async function getStudyPlan(planSlug) {
+    const query = `
+        query studyPlanDetail($planSlug: String!) {
+            studyPlanV2Detail(planSlug: $planSlug) {
+                slug
+                name
+                description
+                planSubGroups {
+                    slug
+                    name
+                    questions {
+                        ${COLLECTION_QUESTION_FIELDS}
+                    }
+                }
+            }
+        }
+    `;
+
+    const data = await fetchFromLeetCodeAPI(query, { planSlug });
+    const plan = data.data && data.data.studyPlanV2Detail;
+    if (!plan) {
+        throw new Error(`Study plan ${planSlug} not found`);
+    }
+
+    return {
+        type: 'study-plan',
+        slug: plan.slug,
+        name: plan.name,
+        description: plan.description || '',
+        url: `${getSite().baseUrl}/studyplan/${plan.slug}/`,
+        sections: plan.planSubGroups.map(group => ({
+            name: group.name,
+            problems: group.questions.map(q => toProblem(normalizeQuestion(q)))
+        }))
+    };
+}
+
+async function getFavoriteList(favoriteSlug) {
+    const detailQuery = `
+        query favoriteDetail($favoriteSlug: String!) {
+            favoriteDetailV2ForQuestion(favoriteSlug: $favoriteSlug) {
+                name
+                description
+            }
+        }
+    `;
+    const listQuery = `
+        query favoriteQuestionList($favoriteSlug: String!, $skip: Int, $limit: Int) {
+            favoriteQuestionList(favoriteSlug: $favoriteSlug, skip: $skip, limit: $limit) {
+                hasMore
+                questions {
+                    ${COLLECTION_QUESTION_FIELDS}
+                }
+            }
+        }
+    `;
+
+    const detailData = await fetchFromLeetCodeAPI(detailQuery, { favoriteSlug });
+    const detail = detailData.data && detailData.data.favoriteDetailV2ForQuestion;
+    if (!detail) {
+        throw new Error(`List ${favoriteSlug} not found or not accessible`);
+    }
+
+    const problems = [];
+    const limit = 100;
+    let skip = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+        const data = await fetchFromLeetCodeAPI(listQuery, { favoriteSlug, skip, limit });
+        const result = data.data && data.data.favoriteQuestionList;
+        if (!result) {
+            throw new Error(`Failed to fetch list ${favoriteSlug}`);
+        }
+
+        problems.push(...result.questions.map(q => toProblem(normalizeQuestion(q))));
+        hasMore = result.hasMore && result.questions.length > 0;
+        skip += limit;
+    }
+
+    return {
+        type: 'list',
+        slug: favoriteSlug,
+        name: detail.name,
+        description: detail.description || '',
+        url: `${getSite().baseUrl}/problem-list/${favoriteSlug}/`,
+        sections: [{ name: detail.name, problems }]
+    };
+}
+
 async function getCodeTemplate(problemSlug, language) {
     if (!problemSlug) return null;
 
@@ -322,22 +924,17 @@ async function getCodeTemplate(problemSlug, language) {
         }
     `;
 
+    const site = getSite();
     try {
-        const response = await axios.post(
-            'https://leetcode.com/graphql',
+        const response = await http.post(
+            site.graphqlUrl,
             {
                 query,
                 variables: { titleSlug: problemSlug },
                 operationName: 'questionEditorData'
             },
             {
-                headers: {
-                    'Cookie': `LEETCODE_SESSION=${cookies.session};csrftoken=${cookies.csrf};`,
-                    'X-CSRFToken': cookies.csrf,
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://leetcode.com',
-                    'Referer': `https://leetcode.com/problems/${problemSlug}/`
-                }
+                headers: getRequestHeaders(site, cookies, `/problems/${problemSlug}/`)
             }
         );
 
@@ -357,11 +954,14 @@ async function getCodeTemplate(problemSlug, language) {
 }
 
 
-async function getDiscussSolution(problemId, problemSlug, language, problemPath) {
+async function getDiscussSolution(problemId, problemSlug, language, problemPath, options = {}) {
     if (!problemSlug) return { status: 'no_solution' };
 
     const cookies = getSessionCookies();
-    if (!cookies) return { status: 'error' };
+    if (!cookies) return { status: 'error', error: 'No session cookies' };
+
+    const top = options.top || 1;
+    const orderBy = options.orderBy || 'most_votes';
 
     const query = `
         query communitySolutions($questionSlug: String!, $skip: Int!, $first: Int!, $query: String, $orderBy: TopicSortingOption, $languageTags: [String!], $topicTags: [String!]) {
@@ -392,16 +992,17 @@ async function getDiscussSolution(problemId, problemSlug, language, problemPath)
         }
     `;
 
+    const site = getSite();
     try {
-        const response = await axios.post(
-            'https://leetcode.com/graphql',
+        const response = await http.post(
+            site.graphqlUrl,
             {
                 query,
                 variables: {
                     questionSlug: problemSlug,
                     skip: 0,
-                    first: 1,
-                    orderBy: 'most_votes',
+                    first: top,
+                    orderBy,
                     query: '',
                     languageTags: [language],
                     topicTags: []
@@ -409,49 +1010,93 @@ async function getDiscussSolution(problemId, problemSlug, language, problemPath)
                 operationName: 'communitySolutions'
             },
             {
-                headers: {
-                    'Cookie': `LEETCODE_SESSION=${cookies.session};csrftoken=${cookies.csrf};`,
-                    'X-CSRFToken': cookies.csrf,
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://leetcode.com',
-                    'Referer': `https://leetcode.com/problems/${problemSlug}/solutions/`
-                }
+                headers: getRequestHeaders(site, cookies, `/problems/${problemSlug}/solutions/`)
             }
         );
 
+        if (response.data && response.data.errors) {
+            return { status: 'error', error: response.data.errors.map(e => e.message).join('; ') };
+        }
+
         if (response.data && response.data.data && response.data.data.questionSolutions) {
             const solutions = response.data.data.questionSolutions.solutions;
             if (solutions && solutions.length > 0) {
-                const solution = solutions[0];
-                const content = solution.post.content
-                    .replace(/\\n/g, '\n')
-                    .replace(/\\t/g, '\t')
-                    .replace(/\\'/g, "'")
-                    .replace(/\\"/g, '"');
-                const solutionUrl = `https://leetcode.com/problems/${problemSlug}/solutions/${solution.id}/`;
-                const markdown = `# ${solution.title}\n\n**Author:** ${solution.post.author.username}\n**Votes:** ${solution.post.voteCount}\n**Link:** [${solutionUrl}](${solutionUrl})\n\n---\n\n${content}`;
-                const communityImageDir = path.join(problemPath, 'solutions', 'community', language, 'images');
-                const result = await downloadImageFromMarkdown(markdown, communityImageDir, './images');
-                return { status: 'success', markdown: result.markdown };
+                const communityDir = path.join(problemPath, 'solutions', 'community', language);
+                const posts = [];
+
+                for (const solution of solutions.slice(0, top)) {
+                    const number = String(posts.length + 1).padStart(2, '0');
+                    const slug = sanitizeFolderName(solution.title).toLowerCase().slice(0, 60).replace(/-$/, '') || 'solution';
+                    const content = solution.post.content
+                        .replace(/\\n/g, '\n')
+                        .replace(/\\t/g, '\t')
+                        .replace(/\\'/g, "'")
+                        .replace(/\\"/g, '"');
+                    const solutionUrl = `${site.baseUrl}/problems/${problemSlug}/solutions/${solution.id}/`;
+                    const author = solution.post.author ? solution.post.author.username : 'unknown';
+                    const markdown = `# ${solution.title}\n\n**Author:** ${author}\n**Votes:** ${solution.post.voteCount}\n**Link:** [${solutionUrl}](${solutionUrl})\n\n---\n\n${content}`;
+                    const result = await downloadImageFromMarkdown(markdown, path.join(communityDir, 'images', number), `./images/${number}`, options.imageStore);
+
+                    posts.push({
+                        fileName: `${number}-${slug}.md`,
+                        title: solution.title,
+                        author,
+                        votes: solution.post.voteCount,
+                        url: solutionUrl,
+                        markdown: result.markdown
+                    });
+                }
+
+                return { status: 'success', posts };
             } else {
                 return { status: 'no_solution' };
             }
         }
         return { status: 'no_solution' };
     } catch (error) {
-        return { status: 'error' };
+        const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+        return { status: 'error', error: `${error.message}${attempts}` };
     }
 }
 
-async function downloadImageFromMarkdown(markdown, imageDir, relativeImagePath = './images') {
+function buildCommunityIndex(language, orderBy, posts) {
+    const escapeCell = text => String(text).replace(/\|/g, '\\|');
+    const rows = posts.map((post, i) =>
+        `| ${i + 1} | [${escapeCell(post.title)}](./${post.fileName}) | ${escapeCell(post.author)} | ${post.votes} | [Link](${post.url}) |`
+    );
+
+    return [
+        `# Community Solutions (${language})`,
+        '',
+        `**Order:** ${orderBy}`,
+        '',
+        '| # | Title | Author | Votes | Link |',
+        '| :-: | :---- | :----- | :---: | :--: |',
+        ...rows,
+        ''
+    ].join('\n');
+}
+
+async function downloadImageFromMarkdown(markdown, imageDir, relativeImagePath = './images', imageStore = null) {
     const imgRegex = /!\[.*?\]\((https?:\/\/[^\)]+)\)/g;
     let match;
     const imageMap = new Map();
     let imageIndex = 0;
     let hasImages = false;
+    const fileDir = path.resolve(imageDir, path.relative(relativeImagePath, '.'));
 
     while ((match = imgRegex.exec(markdown)) !== null) {
         const imgUrl = match[1];
+        if (imageMap.has(imgUrl)) continue;
+
+        if (imageStore) {
+            try {
+                imageMap.set(imgUrl, await imageStore.place(imgUrl, fileDir, imageDir));
+            } catch (error) {
+                imageMap.set(imgUrl, imgUrl);
+            }
+            continue;
+        }
 
         try {
             if (!hasImages) {
@@ -465,14 +1110,13 @@ async function downloadImageFromMarkdown(markdown, imageDir, relativeImagePath =
             const imageName = `${imageIndex}${ext}`;
             const imagePath = path.join(imageDir, imageName);
 
-            await retryAsync(async () => {
-                const response = await axios.get(imgUrl, { responseType: 'arraybuffer', timeout: 10000 });
-                await fs.writeFile(imagePath, response.data);
-            });
+            const response = await http.get(imgUrl, { responseType: 'arraybuffer', timeout: 10000 });
+            await fs.writeFile(imagePath, response.data);
 
             imageMap.set(imgUrl, `${relativeImagePath}/${imageName}`);
             imageIndex++;
         } catch (error) {
+            log.debug(`  Image failed: ${imgUrl} (${error.message})`);
             imageMap.set(imgUrl, imgUrl);
         }
     }
@@ -488,7 +1132,46 @@ async function downloadImageFromMarkdown(markdown, imageDir, relativeImagePath =
     return { markdown: processedMarkdown };
 }
 
-async function getOfficialSolution(problemSlug, problemPath) {
+async function getPlaygroundCodes(uuid) {
+    const query = `
+        query allPlaygroundCodes($uuid: String!) {
+            allPlaygroundCodes(uuid: $uuid) {
+                code
+                langSlug
+            }
+        }
+    `;
+
+    const data = await fetchFromLeetCodeAPI(query, { uuid });
+    const codes = (data.data && data.data.allPlaygroundCodes) || [];
+
+    if (!codes.some(entry => entry && entry.code)) {
+        throw new Error('no code in playground');
+    }
+    return codes;
+}
+
+// Playground iframes show no code offline; each one that resolves becomes fenced code blocks.
+// http already retries transient failures, and a deleted or premium playground stays empty, so
+// a failure here is final
+async function resolvePlaygrounds(content) {
+    const resolved = new Map();
+    const unresolved = [];
+
+    for (const uuid of findPlaygroundEmbeds(content)) {
+        try {
+            const codes = await getPlaygroundCodes(uuid);
+            resolved.set(uuid, renderPlaygroundCode(codes));
+        } catch (error) {
+            log.debug(`  Playground failed: ${uuid} (${error.message})`);
+            unresolved.push({ uuid, url: `${getSite().baseUrl}/playground/${uuid}/shared`, error: error.message });
+        }
+    }
+
+    return { content: replacePlaygroundEmbeds(content, resolved), unresolved };
+}
+
+async function getOfficialSolution(problemSlug, problemPath, imageStore = null) {
     if (!problemSlug) return null;
 
     const cookies = getSessionCookies();
@@ -518,100 +1201,392 @@ async function getOfficialSolution(problemSlug, problemPath) {
         }
     `;
 
+    const site = getSite();
     try {
-        const response = await axios.post(
-            'https://leetcode.com/graphql',
+        const response = await http.post(
+            site.graphqlUrl,
             {
                 query,
                 variables: { titleSlug: problemSlug },
                 operationName: 'questionSolution'
             },
             {
-                headers: {
-                    'Cookie': `LEETCODE_SESSION=${cookies.session};csrftoken=${cookies.csrf};`,
-                    'X-CSRFToken': cookies.csrf,
-                    'Content-Type': 'application/json',
-                    'Origin': 'https://leetcode.com',
-                    'Referer': `https://leetcode.com/problems/${problemSlug}/`
-                }
+                headers: getRequestHeaders(site, cookies, `/problems/${problemSlug}/`)
             }
         );
 
         if (response.data && response.data.data && response.data.data.question && response.data.data.question.solution) {
-            const content = response.data.data.question.solution.content;
-            const solutionUrl = `https://leetcode.com/problems/${problemSlug}/solution/`;
+            const { content, unresolved } = await resolvePlaygrounds(response.data.data.question.solution.content || '');
+            const solutionUrl = `${site.baseUrl}/problems/${problemSlug}/solution/`;
             const header = `# Official Solution\n\n**Link:** [${solutionUrl}](${solutionUrl})\n\n---\n\n`;
             const fullContent = header + content;
             const officialImageDir = path.join(problemPath, 'solutions', 'official', 'images');
-            const result = await downloadImageFromMarkdown(fullContent, officialImageDir, './images');
-            return { markdown: result.markdown };
+            const result = await downloadImageFromMarkdown(fullContent, officialImageDir, './images', imageStore);
+            return { markdown: result.markdown, unresolvedPlaygrounds: unresolved };
         }
         return null;
     } catch (error) {
-        console.error(`  Warning: Failed to fetch official solution: ${error.message}`);
+        log.warn(`  Warning: Failed to fetch official solution: ${error.message}`);
         return null;
     }
 }
 
-function sanitizeFolderName(name) {
-    return name.replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-}
+const ACCEPTED_STATUS = 10;
 
-function getTagLink(tag) {
-    return `https://leetcode.com/tag/${sanitizeFolderName(tag).toLowerCase()}`;
-}
+async function listAcceptedSubmissions(problemSlug) {
+    const query = `
+        query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!, $status: Int) {
+            questionSubmissionList(
+                offset: $offset
+                limit: $limit
+                lastKey: $lastKey
+                questionSlug: $questionSlug
+                status: $status
+            ) {
+                lastKey
+                hasNext
+                submissions {
+                    id
+                    lang
+                    status
+                    statusDisplay
+                    runtime
+                    memory
+                    timestamp
+                }
+            }
+        }
+    `;
 
-function getSubmissionLink(url) {
-    return url.replace('/description/', '/submissions/');
-}
+    const submissions = [];
+    const limit = 20;
+    let offset = 0;
+    let lastKey = null;
+    let hasNext = true;
 
-function getSolutionLink(url) {
-    return url.replace('/description/', '/solutions/');
-}
+    while (hasNext) {
+        const data = await fetchFromLeetCodeAPI(query, {
+            offset,
+            limit,
+            lastKey,
+            questionSlug: problemSlug,
+            status: ACCEPTED_STATUS
+        });
 
-function displayDownloadStatus(problem, status, progress = '1/1', outputFolder = 'data/downloads') {
-    const tag = problem.tags && problem.tags.length > 0 ? problem.tags[0] : 'uncategorized';
-    const tagFolder = sanitizeFolderName(tag);
-    const problemName = sanitizeFolderName(problem.name).toLowerCase();
-    const problemFolder = `${('0000' + problem.id).slice(-4)}_${problem.difficulty}_${problemName}`;
-    const relativeOutputFolder = path.relative(workDir, outputFolder);
-    const relativePath = path.join(relativeOutputFolder, tagFolder, problemFolder);
+        if (!data.data || !data.data.questionSubmissionList) {
+            throw new Error(`Failed to fetch submissions: ${problemSlug}`);
+        }
 
-    const descSuccess = status.description.success;
-    const templatesSuccess = status.templates.count === status.templates.total;
-    const officialSuccess = status.officialSolution.count === status.officialSolution.total;
-    const communitySuccess = status.communitySolutions.count === status.communitySolutions.total;
+        const result = data.data.questionSubmissionList;
+        submissions.push(...result.submissions.filter(s => s.status === ACCEPTED_STATUS));
+        hasNext = result.hasNext;
+        lastKey = result.lastKey;
+        offset += limit;
+    }
 
-    const descInfo = descSuccess
+    return submissions;
+}
+
+async function getSubmissionDetails(submissionId) {
+    const query = `
+        query submissionDetails($submissionId: Int!) {
+            submissionDetails(submissionId: $submissionId) {
+                code
+                timestamp
+                runtimeDisplay
+                runtimePercentile
+                memoryDisplay
+                memoryPercentile
+                lang {
+                    name
+                    verboseName
+                }
+            }
+        }
+    `;
+
+    const data = await fetchFromLeetCodeAPI(query, { submissionId: parseInt(submissionId, 10) });
+
+    if (!data.data || !data.data.submissionDetails) {
+        throw new Error(`Failed to fetch submission: ${submissionId}`);
+    }
+
+    return data.data.submissionDetails;
+}
+
+async function getMySubmissions(problemSlug) {
+    const submissions = await listAcceptedSubmissions(problemSlug);
+    const newestByLanguage = new Map();
+
+    for (const submission of submissions) {
+        const newest = newestByLanguage.get(submission.lang);
+        if (!newest || parseInt(submission.timestamp, 10) > parseInt(newest.timestamp, 10)) {
+            newestByLanguage.set(submission.lang, submission);
+        }
+    }
+
+    return Array.from(newestByLanguage.values());
+}
+
+async function getProblemChanges(problemSlug, entry) {
+    const query = `
+        query questionRefresh($titleSlug: String!) {
+            question(titleSlug: $titleSlug) {
+                content
+                codeSnippets {
+                    langSlug
+                }
+                solution {
+                    id
+                }
+            }
+        }
+    `;
+
+    const data = await fetchFromLeetCodeAPI(query, { titleSlug: problemSlug });
+    if (!data.data || !data.data.question) {
+        throw new Error(`Failed to fetch problem: ${problemSlug}`);
+    }
+
+    const question = data.data.question;
+    const changes = [];
+
+    const storedHash = entry.contentHash || (entry.hashes && entry.hashes['description/problem.raw.txt']);
+    if (!storedHash) {
+        changes.push('unknown');
+    } else if (question.content && hashContent(question.content) !== storedHash) {
+        changes.push('statement');
+    }
+
+    const storedLanguages = new Set(entry.languages || []);
+    if ((question.codeSnippets || []).some(s => !storedLanguages.has(s.langSlug))) {
+        changes.push('languages');
+    }
+
+    if (question.solution && entry.artifacts && !entry.artifacts.official) {
+        changes.push('editorial');
+    }
+
+    return changes;
+}
+
+function getTagLink(tag, baseUrl = getSite().baseUrl) {
+    return `${baseUrl}/tag/${sanitizeFolderName(tag).toLowerCase()}`;
+}
+
+function getSubmissionLink(url) {
+    return url.replace('/description/', '/submissions/');
+}
+
+function getSolutionLink(url) {
+    return url.replace('/description/', '/solutions/');
+}
+
+function getProblemPath(problem, outputFolder, layout = DEFAULT_LAYOUT) {
+    return path.join(outputFolder, renderLayout(layout, problem));
+}
+
+async function applyDatasetLayout(outputFolder, CONFIG) {
+    const datasetConfig = await loadDatasetConfig(outputFolder);
+    const hasProblems = datasetConfig.recorded || await loadIndex(outputFolder) !== null;
+
+    if (CONFIG.layout && hasProblems && CONFIG.layout !== datasetConfig.layout) {
+        throw new Error(`${path.relative(workDir, outputFolder)} already uses layout "${datasetConfig.layout}". Use the same --layout or a different --data-dir`);
+    }
+
+    CONFIG.layout = CONFIG.layout || datasetConfig.layout;
+    CONFIG.links = Array.from(new Set([...datasetConfig.links, ...CONFIG.links]));
+    const imageStore = CONFIG.imageStore || datasetConfig.imageStore || 'none';
+    CONFIG.imageStore = imageStore === 'none' ? null : imageStore;
+
+    if (CONFIG.dryRun) return;
+    await fs.ensureDir(outputFolder);
+    await saveDatasetConfig(outputFolder, { layout: CONFIG.layout, links: CONFIG.links, imageStore: CONFIG.imageStore });
+}
+
+function displayDownloadPlan(plan, outputFolder) {
+    const labels = {
+        fetch: '\x1b[32mfetch\x1b[0m  ',
+        retry: '\x1b[33mretry\x1b[0m  ',
+        refresh: '\x1b[36mcheck\x1b[0m  '
+    };
+
+    log.info('\x1b[1mDownload Plan\x1b[0m \x1b[2m(dry run, nothing is written)\x1b[0m');
+    for (const item of plan.items) {
+        const relativePath = path.relative(workDir, item.path);
+        const reasons = item.reasons ? `  \x1b[90m${item.reasons.join('; ')}\x1b[0m` : '';
+        log.info(`  ${labels[item.action]} ${item.problem.id}. ${item.problem.name}  \x1b[90m${relativePath}\x1b[0m${reasons}`);
+    }
+
+    const count = action => plan.items.filter(item => item.action === action).length;
+    log.info('\n\x1b[1mDry Run Summary\x1b[0m');
+    log.info(`\x1b[2m  Would fetch:\x1b[0m \x1b[32m${count('fetch')}\x1b[0m`);
+    log.info(`\x1b[2m  Would retry (failed before):\x1b[0m \x1b[33m${count('retry')}\x1b[0m`);
+    if (count('refresh') > 0) {
+        log.info(`\x1b[2m  Would check for changes:\x1b[0m \x1b[36m${count('refresh')}\x1b[0m`);
+    }
+    log.info(`\x1b[2m  Would skip (already completed):\x1b[0m ${plan.completed}`);
+    log.info(`\x1b[2m  Would skip (premium):\x1b[0m ${plan.premium}`);
+    log.info(`\x1b[2m  Target folder:\x1b[0m ${outputFolder}\n`);
+
+    emitSummary({
+        dryRun: true,
+        output: outputFolder,
+        fetch: count('fetch'),
+        retry: count('retry'),
+        refresh: count('refresh'),
+        completed: plan.completed,
+        premium: plan.premium,
+        problems: plan.items.map(item => ({
+            id: item.problem.id,
+            slug: item.problem.slug,
+            action: item.action,
+            path: path.relative(workDir, item.path),
+            reasons: item.reasons || []
+        }))
+    });
+}
+
+function getStatusCounts(status) {
+    const counts = {
+        description: `${status.description.success ? 1 : 0}/1`,
+        templates: `${status.templates.count}/${status.templates.total}`,
+        official: `${status.officialSolution.count}/${status.officialSolution.total}`,
+        community: `${status.communitySolutions.count}/${status.communitySolutions.total}`
+    };
+    if (status.mySubmissions) {
+        counts.mine = `${status.mySubmissions.count}/${status.mySubmissions.total}`;
+    }
+    return counts;
+}
+
+function getIncompleteReasons(status, CONFIG) {
+    const reasons = [];
+    if (!status.description.success) {
+        reasons.push('Description download failed');
+    }
+    if (CONFIG.fetchTemplates && status.templates.count < status.templates.total) {
+        reasons.push(`Templates incomplete: ${status.templates.count}/${status.templates.total}`);
+    }
+    if (CONFIG.fetchOfficialSolution && status.officialSolution.count < status.officialSolution.total) {
+        reasons.push(`Official solution incomplete: ${status.officialSolution.count}/${status.officialSolution.total}`);
+    }
+    if (CONFIG.fetchSolutions && status.communitySolutions.count < status.communitySolutions.total) {
+        reasons.push(`Community solutions incomplete: ${status.communitySolutions.count}/${status.communitySolutions.total}`);
+    }
+    if (CONFIG.fetchMine && status.mySubmissions.count < status.mySubmissions.total) {
+        reasons.push(`My submissions incomplete: ${status.mySubmissions.count}/${status.mySubmissions.total}`);
+    }
+    return reasons;
+}
+
+function emitProblemResult(problem, status, reasons) {
+    const data = {
+        id: problem.id,
+        slug: problem.slug,
+        path: path.relative(workDir, status.problemPath),
+        status: getStatusCounts(status),
+        artifacts: status.artifacts
+    };
+    if (status.warnings.length > 0) {
+        data.warnings = status.warnings;
+    }
+    if (reasons.length === 0) {
+        emit('problem-completed', data);
+    } else {
+        emit('problem-failed', { ...data, reasons, errors: status.errors });
+    }
+}
+
+function displayRetryTable(before, after) {
+    const kinds = Object.keys(FAILURE_KINDS).filter(kind => before[kind] > 0 || after[kind] > 0);
+    const row = (label, was, now) => {
+        const cleared = was - now;
+        const clearedInfo = cleared > 0 ? `\x1b[32m${String(cleared).padStart(7)}\x1b[0m` : String(cleared).padStart(7);
+        const nowInfo = now > 0 ? `\x1b[31m${String(now).padStart(6)}\x1b[0m` : String(now).padStart(6);
+        return `  ${label.padEnd(12)} ${String(was).padStart(6)} ${nowInfo} ${clearedInfo}`;
+    };
+
+    log.info('\n\x1b[1mRetry Results\x1b[0m');
+    log.info(`\x1b[2m  ${'Reason'.padEnd(12)} ${'Before'.padStart(6)} ${'After'.padStart(6)} ${'Cleared'.padStart(7)}\x1b[0m`);
+    for (const kind of kinds) {
+        log.info(row(kind, before[kind], after[kind]));
+    }
+    log.info(`\x1b[1m${row('problems', before.total, after.total)}\x1b[0m`);
+    log.info('\x1b[2m  A problem can fail for several reasons, so rows may add up to more than the total\x1b[0m');
+}
+
+function displayDownloadStatus(problem, status, progress = '1/1') {
+    const relativePath = path.relative(workDir, status.problemPath);
+
+    const descSuccess = status.description.success;
+    const templatesSuccess = status.templates.count === status.templates.total;
+    const officialSuccess = status.officialSolution.count === status.officialSolution.total;
+    const communitySuccess = status.communitySolutions.count === status.communitySolutions.total;
+
+    const descInfo = descSuccess
         ? `Description: \x1b[32m1/1\x1b[0m`
         : `Description: \x1b[31m0/1\x1b[0m`;
     const templatesInfo = `Templates: ${templatesSuccess ? '\x1b[32m' : '\x1b[31m'}${status.templates.count}/${status.templates.total}\x1b[0m`;
     const officialInfo = `Official: ${officialSuccess ? '\x1b[32m' : '\x1b[31m'}${status.officialSolution.count}/${status.officialSolution.total}\x1b[0m`;
     const communityInfo = `Community: ${communitySuccess ? '\x1b[32m' : '\x1b[31m'}${status.communitySolutions.count}/${status.communitySolutions.total}\x1b[0m`;
+    const mineSuccess = !status.mySubmissions || status.mySubmissions.count === status.mySubmissions.total;
+    const mineInfo = status.mySubmissions
+        ? `, Mine: ${mineSuccess ? '\x1b[32m' : '\x1b[31m'}${status.mySubmissions.count}/${status.mySubmissions.total}\x1b[0m`
+        : '';
 
-    const allSuccess = descSuccess && templatesSuccess && officialSuccess && communitySuccess;
+    const allSuccess = descSuccess && templatesSuccess && officialSuccess && communitySuccess && mineSuccess;
     const statusIcon = allSuccess ? '\x1b[32m✓\x1b[0m' : '\x1b[33m⚠\x1b[0m';
     const premiumTag = problem.locked ? '\x1b[33m[Premium]\x1b[0m' : '\x1b[90m[Free]\x1b[0m';
 
-    console.log(`${statusIcon} \x1b[90m[\x1b[0m\x1b[36m${progress}\x1b[0m\x1b[90m]\x1b[0m ${premiumTag} ${relativePath}  ${descInfo}, ${templatesInfo}, ${officialInfo}, ${communityInfo}`);
+    // Incomplete problems stay visible with --quiet, together with their error details
+    const logStatus = allSuccess ? log.info : log.warn;
+    logStatus(`${statusIcon} \x1b[90m[\x1b[0m\x1b[36m${progress}\x1b[0m\x1b[90m]\x1b[0m ${premiumTag} ${relativePath}  ${descInfo}, ${templatesInfo}, ${officialInfo}, ${communityInfo}${mineInfo}`);
+    for (const error of status.errors) {
+        log.warn(`\x1b[2m    ${error}\x1b[0m`);
+    }
+    for (const warning of status.warnings) {
+        log.warn(`\x1b[2m    ${warning}\x1b[0m`);
+    }
 }
 
-async function downloadProblem(problem, outputFolder, CONFIG) {
+// Keys of the artifacts a problem download is made of. Partially downloaded
+// problems keep the keys they already have so a retry only fetches the rest.
+const ARTIFACT_KEYS = {
+    description: format => `description:${format}`,
+    template: lang => `template:${lang}`,
+    official: () => 'official',
+    community: lang => `community:${lang}`,
+    mine: () => 'mine'
+};
+
+async function downloadProblem(problem, outputFolder, CONFIG, resume = {}) {
+    const artifacts = resume.artifacts || [];
+    const isStopping = resume.isStopping || (() => false);
+    const done = key => artifacts.includes(key);
+    const markDone = key => {
+        if (!artifacts.includes(key)) artifacts.push(key);
+        emit('artifact-saved', { id: problem.id, artifact: key });
+    };
+
     const downloadStatus = {
         problemId: problem.id,
         problemName: problem.name,
+        problemPath: null,
         description: { success: false, formats: [] },
         templates: { success: false, count: 0, total: 0, languages: [] },
         officialSolution: { success: false, count: 0, total: 0 },
         communitySolutions: { success: false, count: 0, total: 0, languages: [] },
-        errors: []
+        mySubmissions: CONFIG.fetchMine ? { success: false, count: 0, total: 0, languages: [] } : null,
+        artifacts,
+        interrupted: false,
+        errors: [],
+        warnings: []
     };
 
-    const tag = problem.tags[0] || 'uncategorized';
-    const tagFolder = sanitizeFolderName(tag);
-    const problemName = sanitizeFolderName(problem.name).toLowerCase();
-    const problemFolder = `${('0000' + problem.id).slice(-4)}_${problem.difficulty}_${problemName}`;
-    const problemPath = path.join(outputFolder, tagFolder, problemFolder);
+    const problemPath = getProblemPath(problem, outputFolder, CONFIG.layout);
+    downloadStatus.problemPath = problemPath;
+    const imageStore = CONFIG.imageStore ? await openImageStore(outputFolder, CONFIG.imageStore) : null;
 
     await fs.ensureDir(problemPath);
 
@@ -635,13 +1610,25 @@ async function downloadProblem(problem, outputFolder, CONFIG) {
         }
     }
 
-    const url = `https://leetcode.com/problems/${problem.slug}/`;
+    const site = getSite();
+    const url = `${site.baseUrl}/problems/${problem.slug}/`;
     const category = questionData.categoryTitle || 'algorithms';
     const difficulty = questionData.difficulty;
     const likes = questionData.likes || 0;
     const dislikes = questionData.dislikes || 0;
     const bodyHtml = questionData.content;
 
+    const metadata = buildMetadata(problem, questionData, url, site.id);
+    const previousMetadata = await readMetadata(problemPath);
+    // Recorded with the official solution, so it is kept until that is fetched again
+    if (previousMetadata && previousMetadata.unresolvedPlaygrounds) {
+        metadata.unresolvedPlaygrounds = previousMetadata.unresolvedPlaygrounds;
+    }
+    if (previousMetadata && previousMetadata.descriptionImages) {
+        metadata.descriptionImages = previousMetadata.descriptionImages;
+    }
+    await writeMetadata(problemPath, metadata);
+
     const availableLanguages = questionData.codeSnippets || [];
     const languageSlugs = new Set(availableLanguages.map(s => s.langSlug));
 
@@ -650,73 +1637,156 @@ async function downloadProblem(problem, outputFolder, CONFIG) {
         ext: LANGUAGE_EXT_MAP[snippet.langSlug] || snippet.langSlug
     }));
 
-    if (CONFIG.formats.includes('raw')) {
+    const pendingFormat = format => CONFIG.formats.includes(format) && !done(ARTIFACT_KEYS.description(format));
+
+    if (pendingFormat('raw')) {
         await fs.writeFile(path.join(problemPath, 'description', 'problem.raw.txt'), bodyHtml, 'utf8');
+        markDone(ARTIFACT_KEYS.description('raw'));
     }
 
-    const { html: processedHtml, imageMap } = await processHtmlBody(bodyHtml, problemPath);
-    const markdownBody = await convertHtmlToMarkdown(bodyHtml, imageMap);
+    const bundleFormat = CONFIG.formats.includes('html-bundle');
+    const description = pendingFormat('html') || pendingFormat('md') || bundleFormat
+        ? await processHtmlBody(bodyHtml, problemPath, '', imageStore)
+        : null;
 
-    if (CONFIG.formats.includes('html')) {
-        await saveProblemHtml({
-            id: problem.id,
-            name: problem.name,
-            url: url,
-            category,
-            difficulty,
-            likes,
-            dislikes,
-            tags: problem.tags,
-            companies: problem.companies,
-            body: processedHtml
-        }, problemPath);
+    // rebuild finds each description image by its src through this map
+    if (description && description.imageFiles && (Object.keys(description.imageFiles).length > 0 || metadata.descriptionImages)) {
+        if (Object.keys(description.imageFiles).length > 0) {
+            metadata.descriptionImages = description.imageFiles;
+        } else {
+            delete metadata.descriptionImages;
+        }
+        await writeMetadata(problemPath, metadata);
     }
 
-    if (CONFIG.formats.includes('md')) {
-        await saveProblemMarkdown({
-            id: problem.id,
-            name: problem.name,
-            url: url,
-            category,
-            difficulty,
-            likes,
-            dislikes,
-            tags: problem.tags,
-            companies: problem.companies,
-            body: markdownBody
-        }, problemPath);
+    if (pendingFormat('html') || pendingFormat('md')) {
+        const { html: processedHtml, imageMap } = description;
+        const translated = CONFIG.translations && questionData.translatedContent
+            ? await processHtmlBody(questionData.translatedContent, problemPath, 'zh-', imageStore)
+            : null;
+        const translatedName = questionData.translatedTitle || problem.name;
+
+        if (pendingFormat('html')) {
+            await saveProblemHtml({
+                id: problem.id,
+                name: problem.name,
+                url: url,
+                category,
+                difficulty,
+                likes,
+                dislikes,
+                tags: problem.tags,
+                companies: problem.companies,
+                body: processedHtml
+            }, problemPath, 'problem.html', CONFIG.pageTemplates.html);
+
+            if (translated) {
+                await saveProblemHtml({
+                    id: problem.id,
+                    name: translatedName,
+                    url: url,
+                    category,
+                    difficulty,
+                    likes,
+                    dislikes,
+                    tags: problem.tags,
+                    companies: problem.companies,
+                    body: translated.html
+                }, problemPath, 'problem.zh.html', CONFIG.pageTemplates.html);
+            }
+            markDone(ARTIFACT_KEYS.description('html'));
+        }
+
+        if (pendingFormat('md')) {
+            await saveProblemMarkdown({
+                id: problem.id,
+                name: problem.name,
+                url: url,
+                category,
+                difficulty,
+                likes,
+                dislikes,
+                tags: problem.tags,
+                companies: problem.companies,
+                body: convertHtmlToMarkdown(bodyHtml, { imageMap, baseUrl: site.baseUrl })
+            }, problemPath, 'problem.md', CONFIG.pageTemplates.md);
+
+            if (translated) {
+                await saveProblemMarkdown({
+                    id: problem.id,
+                    name: translatedName,
+                    url: url,
+                    category,
+                    difficulty,
+                    likes,
+                    dislikes,
+                    tags: problem.tags,
+                    companies: problem.companies,
+                    body: convertHtmlToMarkdown(questionData.translatedContent, { imageMap: translated.imageMap, baseUrl: site.baseUrl })
+                }, problemPath, 'problem.zh.md', CONFIG.pageTemplates.md);
+            }
+            markDone(ARTIFACT_KEYS.description('md'));
+        }
     }
 
+    downloadStatus.description.success = true;
+    downloadStatus.description.formats = CONFIG.formats;
+
     const problemSlug = problem.slug;
 
     if (CONFIG.fetchOfficialSolution && problemSlug) {
         downloadStatus.officialSolution.total = 1;
-        const officialSolutionResult = await retryAsync(() => getOfficialSolution(problemSlug, problemPath));
-        if (officialSolutionResult) {
-            const officialDir = path.join(problemPath, 'solutions', 'official');
-            await fs.ensureDir(officialDir);
-            await fs.writeFile(
-                path.join(officialDir, 'solution.md'),
-                officialSolutionResult.markdown,
-                'utf8'
-            );
+        if (done(ARTIFACT_KEYS.official())) {
             downloadStatus.officialSolution.success = true;
             downloadStatus.officialSolution.count = 1;
+        } else if (isStopping()) {
+            downloadStatus.interrupted = true;
         } else {
-            downloadStatus.officialSolution.total = 0;
+            const officialSolutionResult = await retryAsync(() => getOfficialSolution(problemSlug, problemPath, imageStore));
+            if (officialSolutionResult) {
+                const officialDir = path.join(problemPath, 'solutions', 'official');
+                await fs.ensureDir(officialDir);
+                await fs.writeFile(
+                    path.join(officialDir, 'solution.md'),
+                    officialSolutionResult.markdown,
+                    'utf8'
+                );
+                downloadStatus.officialSolution.success = true;
+                downloadStatus.officialSolution.count = 1;
+                markDone(ARTIFACT_KEYS.official());
+
+                // Embeds that did not resolve stay in solution.md and are listed in metadata.json
+                const unresolved = officialSolutionResult.unresolvedPlaygrounds;
+                if (unresolved.length > 0 || metadata.unresolvedPlaygrounds) {
+                    if (unresolved.length > 0) {
+                        metadata.unresolvedPlaygrounds = unresolved;
+                    } else {
+                        delete metadata.unresolvedPlaygrounds;
+                    }
+                    await writeMetadata(problemPath, metadata);
+                }
+                for (const { uuid, error } of unresolved) {
+                    downloadStatus.warnings.push(`Official playground ${uuid} not resolved: ${error}`);
+                }
+            } else {
+                downloadStatus.officialSolution.total = 0;
+            }
         }
     }
 
     downloadStatus.templates.total = filteredLanguages.length;
-    downloadStatus.communitySolutions.total = filteredLanguages.length;
+    downloadStatus.communitySolutions.total = CONFIG.fetchSolutions ? filteredLanguages.length : 0;
 
     if (filteredLanguages.length === 0) {
-        console.log(`  No languages available for this problem`);
+        log.info(`  No languages available for this problem`);
     } else {
         for (const lang of filteredLanguages) {
             if (CONFIG.fetchTemplates) {
                 const snippet = availableLanguages.find(s => s.langSlug === lang.name);
-                if (snippet && snippet.code) {
+                if (done(ARTIFACT_KEYS.template(lang.name))) {
+                    downloadStatus.templates.count++;
+                    downloadStatus.templates.languages.push(lang.name);
+                } else if (snippet && snippet.code) {
                     await fs.writeFile(
                         path.join(problemPath, 'templates', `solution.${lang.ext}`),
                         snippet.code,
@@ -724,51 +1794,210 @@ async function downloadProblem(problem, outputFolder, CONFIG) {
                     );
                     downloadStatus.templates.count++;
                     downloadStatus.templates.languages.push(lang.name);
+                    markDone(ARTIFACT_KEYS.template(lang.name));
                 }
             }
 
             if (CONFIG.fetchSolutions && problemSlug) {
-                const solutionResult = await retryAsync(() => getDiscussSolution(problem.id, problemSlug, lang.name, problemPath));
+                if (done(ARTIFACT_KEYS.community(lang.name))) {
+                    downloadStatus.communitySolutions.count++;
+                    downloadStatus.communitySolutions.languages.push(lang.name);
+                    continue;
+                }
+                if (downloadStatus.interrupted || isStopping()) {
+                    downloadStatus.interrupted = true;
+                    continue;
+                }
+
+                const communityLangDir = path.join(problemPath, 'solutions', 'community', lang.name);
+                const solutionResult = await retryAsync(() => getDiscussSolution(problem.id, problemSlug, lang.name, problemPath, {
+                    top: CONFIG.communityTop,
+                    orderBy: CONFIG.communityOrder,
+                    imageStore
+                }));
                 if (solutionResult.status === 'success') {
-                    const communityLangDir = path.join(problemPath, 'solutions', 'community', lang.name);
                     await fs.ensureDir(communityLangDir);
+                    const staleFiles = (await fs.readdir(communityLangDir)).filter(f => f.endsWith('.md'));
+                    for (const file of staleFiles) {
+                        await fs.remove(path.join(communityLangDir, file));
+                    }
+                    for (const post of solutionResult.posts) {
+                        await fs.writeFile(path.join(communityLangDir, post.fileName), post.markdown, 'utf8');
+                    }
                     await fs.writeFile(
-                        path.join(communityLangDir, 'solution.md'),
-                        solutionResult.markdown,
+                        path.join(communityLangDir, 'index.md'),
+                        buildCommunityIndex(lang.name, CONFIG.communityOrder, solutionResult.posts),
                         'utf8'
                     );
                     downloadStatus.communitySolutions.count++;
                     downloadStatus.communitySolutions.languages.push(lang.name);
+                    markDone(ARTIFACT_KEYS.community(lang.name));
                 } else if (solutionResult.status === 'no_solution') {
                     downloadStatus.communitySolutions.total--;
+                } else {
+                    downloadStatus.errors.push(`Community ${lang.name}: ${solutionResult.error}`);
                 }
             }
         }
     }
 
-    downloadStatus.description.success = true;
-    downloadStatus.description.formats = CONFIG.formats;
+    if (CONFIG.fetchMine && problemSlug && problem.solved !== false) {
+        if (done(ARTIFACT_KEYS.mine())) {
+            downloadStatus.mySubmissions.total = 1;
+            downloadStatus.mySubmissions.count = 1;
+        } else if (downloadStatus.interrupted || isStopping()) {
+            downloadStatus.interrupted = true;
+        } else {
+            await downloadMySubmissions(problemSlug, problemPath, downloadStatus);
+            if (downloadStatus.mySubmissions.count === downloadStatus.mySubmissions.total) {
+                markDone(ARTIFACT_KEYS.mine());
+            }
+        }
+    }
+
+    // Written on every run, so it picks up templates and solutions saved since the last one
+    if (bundleFormat) {
+        await saveProblemBundle({
+            id: problem.id,
+            name: problem.name,
+            url: url,
+            category,
+            difficulty,
+            likes,
+            dislikes,
+            tags: problem.tags,
+            companies: problem.companies,
+            body: description.html
+        }, problemPath);
+    }
+
+    if (CONFIG.links.length > 0) {
+        try {
+            await linkProblem(outputFolder, problem, problemPath, CONFIG.links);
+        } catch (error) {
+            log.warn(`  Warning: Failed to create ${CONFIG.links.join('/')} links: ${error.message}`);
+        }
+    }
+
     if (downloadStatus.templates.count > 0) downloadStatus.templates.success = true;
     if (downloadStatus.communitySolutions.count > 0) downloadStatus.communitySolutions.success = true;
+    if (downloadStatus.mySubmissions && downloadStatus.mySubmissions.count > 0) downloadStatus.mySubmissions.success = true;
+
+    if (imageStore) {
+        await imageStore.save();
+    }
 
     return downloadStatus;
 }
 
-async function processHtmlBody(html, problemPath) {
+async function downloadMySubmissions(problemSlug, problemPath, downloadStatus) {
+    let submissions;
+    try {
+        submissions = await retryAsync(() => getMySubmissions(problemSlug));
+    } catch (error) {
+        downloadStatus.mySubmissions.total = 1;
+        downloadStatus.errors.push(`My submissions: ${error.message}`);
+        return;
+    }
+
+    downloadStatus.mySubmissions.total = submissions.length;
+
+    for (const submission of submissions) {
+        try {
+            const details = await retryAsync(() => getSubmissionDetails(submission.id));
+            const lang = details.lang && details.lang.name ? details.lang.name : submission.lang;
+            const ext = LANGUAGE_EXT_MAP[lang] || lang;
+            const mineLangDir = path.join(problemPath, 'solutions', 'mine', lang);
+
+            await fs.ensureDir(mineLangDir);
+            await fs.writeFile(path.join(mineLangDir, `solution.${ext}`), details.code, 'utf8');
+            await fs.writeJson(path.join(mineLangDir, 'submission.json'), {
+                id: submission.id,
+                lang,
+                url: `${getSite().baseUrl}/submissions/detail/${submission.id}/`,
+                runtime: details.runtimeDisplay || submission.runtime,
+                runtimePercentile: details.runtimePercentile,
+                memory: details.memoryDisplay || submission.memory,
+                memoryPercentile: details.memoryPercentile,
+                timestamp: new Date(parseInt(details.timestamp || submission.timestamp, 10) * 1000).toISOString()
+            }, { spaces: 2 });
+
+            downloadStatus.mySubmissions.count++;
+            downloadStatus.mySubmissions.languages.push(lang);
+        } catch (error) {
+            downloadStatus.errors.push(`My submission ${submission.id}: ${error.message}`);
+        }
+    }
+
+    if (downloadStatus.mySubmissions.count > 0) downloadStatus.mySubmissions.success = true;
+}
+
+function imageFileExtension(url) {
+    const urlFileName = url.split('/').pop();
+    return urlFileName.includes('.') ? urlFileName.substring(urlFileName.lastIndexOf('.')) : '.png';
+}
+
+// Datasets saved before metadata.json recorded descriptionImages only have the files, named by
+// position. Positions shift after a failed image, so they are trusted only when every file is there.
+async function guessImageFiles(html, descriptionImageDir, imagePrefix) {
+    const sources = [...new Set([...html.matchAll(/<img[^>]+src="([^"]+)"[^>]*>/g)].map(match => match[1]))];
+    const names = sources.map((src, index) => `${imagePrefix}${index}${imageFileExtension(src)}`);
+    for (const name of names) {
+        if (!await fs.pathExists(path.join(descriptionImageDir, name))) return {};
+    }
+    return Object.fromEntries(sources.map((src, index) => [src, names[index]]));
+}
+
+// imageFiles maps each saved image's src to its file in description/images. It is returned
+// after a download so metadata.json can keep it, and looked up by src when offline is set:
+// then nothing is fetched, images already on disk (or in the image store) are referenced
+// and anything else keeps its remote URL
+async function processHtmlBody(html, problemPath, imagePrefix = '', imageStore = null, { offline = false, baseUrl = null, imageFiles = null } = {}) {
     const imgRegex = /<img[^>]+src="([^"]+)"[^>]*>/g;
     let match;
     const imageMap = new Map();
+    const savedFiles = {};
     let imageIndex = 0;
     let hasImages = false;
     const descriptionImageDir = path.join(problemPath, 'description', 'images');
+    const knownFiles = offline && !imageStore
+        ? imageFiles || await guessImageFiles(html, descriptionImageDir, imagePrefix)
+        : null;
 
     while ((match = imgRegex.exec(html)) !== null) {
         const imgUrl = match[1];
         let fullUrl = imgUrl;
 
         if (imgUrl.startsWith('/')) {
-            fullUrl = `https://leetcode.com${imgUrl}`;
+            fullUrl = `${baseUrl || getSite().baseUrl}${imgUrl}`;
         }
+        if (imageMap.has(imgUrl)) continue;
+
+        if (imageStore) {
+            if (offline && !await imageStore.isStored(fullUrl)) {
+                imageMap.set(imgUrl, fullUrl);
+                continue;
+            }
+            try {
+                imageMap.set(imgUrl, await imageStore.place(fullUrl, path.dirname(descriptionImageDir), descriptionImageDir));
+            } catch (error) {
+                imageMap.set(imgUrl, fullUrl);
+            }
+            continue;
+        }
+
+        if (offline) {
+            const knownFile = Object.prototype.hasOwnProperty.call(knownFiles, imgUrl) ? knownFiles[imgUrl] : null;
+            if (knownFile && await fs.pathExists(path.join(descriptionImageDir, knownFile))) {
+                imageMap.set(imgUrl, `./images/${knownFile}`);
+            } else {
+                imageMap.set(imgUrl, fullUrl);
+            }
+            continue;
+        }
+
+        const imageName = `${imagePrefix}${imageIndex}${imageFileExtension(fullUrl)}`;
+        const imagePath = path.join(descriptionImageDir, imageName);
 
         try {
             if (!hasImages) {
@@ -776,20 +2005,14 @@ async function processHtmlBody(html, problemPath) {
                 hasImages = true;
             }
 
-            const urlParts = fullUrl.split('/');
-            const urlFileName = urlParts[urlParts.length - 1];
-            const ext = urlFileName.includes('.') ? urlFileName.substring(urlFileName.lastIndexOf('.')) : '.png';
-            const imageName = `${imageIndex}${ext}`;
-            const imagePath = path.join(descriptionImageDir, imageName);
-
-            await retryAsync(async () => {
-                const response = await axios.get(fullUrl, { responseType: 'arraybuffer', timeout: 10000 });
-                await fs.writeFile(imagePath, response.data);
-            });
+            const response = await http.get(fullUrl, { responseType: 'arraybuffer', timeout: 10000 });
+            await fs.writeFile(imagePath, response.data);
 
             imageMap.set(imgUrl, `./images/${imageName}`);
+            savedFiles[imgUrl] = imageName;
             imageIndex++;
         } catch (error) {
+            log.debug(`  Image failed: ${fullUrl} (${error.message})`);
             imageMap.set(imgUrl, fullUrl);
         }
     }
@@ -801,481 +2024,681 @@ async function processHtmlBody(html, problemPath) {
         })
         .replace(/<pre>[\r\n]*([^]+?)[\r\n]*<\/pre>/g, '<pre><code>$1</code></pre>');
 
-    return { html: processedHtml, imageMap };
+    return { html: processedHtml, imageMap, imageFiles: imageStore || offline ? null : savedFiles };
 }
 
-async function saveProblemHtml(problem, problemPath) {
-    const tagsHtml = problem.tags.length > 0
-        ? problem.tags.map(t => `<a href="${getTagLink(t)}"><code>${t}</code></a>`).join(' | ')
-        : '';
-
-    const companiesHtml = problem.companies.length > 0
-        ? problem.companies.map(c => `<code>${c}</code>`).join(' | ')
-        : '';
+function buildPageView(problem) {
+    // Tag links follow the problem's own site, so a rebuilt leetcode.cn page keeps its links
+    // whichever site the session is logged in to
+    const baseUrl = problem.url ? new URL(problem.url).origin : getSite().baseUrl;
+    const toItems = (names, getUrl) => names.map((name, i) => ({
+        name,
+        url: getUrl ? getUrl(name) : undefined,
+        first: i === 0,
+        last: i === names.length - 1
+    }));
 
-    const html = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${problem.id}. ${problem.name}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
-            line-height: 1.6;
-            max-width: 900px;
-            margin: 0 auto;
-            padding: 20px;
-            color: #333;
-        }
-        h1 { border-bottom: 1px solid #eee; padding-bottom: 10px; }
-        h1 a { color: #333; text-decoration: none; }
-        h1 a:hover { color: #0066cc; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { padding: 8px 12px; text-align: center; border: 1px solid #ddd; }
-        th { background-color: #f6f8fa; font-weight: 600; }
-        code { background-color: #f6f8fa; padding: 2px 6px; border-radius: 3px; font-family: 'Monaco', 'Menlo', monospace; font-size: 0.9em; }
-        pre { background-color: #f6f8fa; padding: 16px; border-radius: 6px; overflow-x: auto; }
-        pre code { background-color: transparent; padding: 0; white-space: pre-wrap; }
-        details { margin: 10px 0; }
-        summary { cursor: pointer; font-weight: 600; padding: 8px; background-color: #f6f8fa; border-radius: 3px; }
-        summary:hover { background-color: #e1e4e8; }
-        hr { border: none; border-top: 1px solid #eee; margin: 30px 0; }
-        .links { margin-top: 20px; }
-        .links a { margin-right: 20px; color: #0066cc; text-decoration: none; }
-        .links a:hover { text-decoration: underline; }
-        img { max-width: 100%; height: auto; }
-    </style>
-</head>
-<body>
-    <h1><a href="${problem.url}">${problem.id}. ${problem.name}</a></h1>
-
-    <table>
-        <tr>
-            <th>Category</th>
-            <th>Difficulty</th>
-            <th>Likes</th>
-            <th>Dislikes</th>
-        </tr>
-        <tr>
-            <td>${problem.category}</td>
-            <td>${problem.difficulty}</td>
-            <td>${problem.likes}</td>
-            <td>${problem.dislikes}</td>
-        </tr>
-    </table>
-
-    ${tagsHtml ? `<details>
-        <summary><strong>Tags</strong></summary>
-        <p>${tagsHtml}</p>
-    </details>` : ''}
-
-    ${companiesHtml ? `<details>
-        <summary><strong>Companies</strong></summary>
-        <p>${companiesHtml}</p>
-    </details>` : ''}
-
-    ${problem.body}
-
-    <hr>
-
-    <div class="links">
-        <a href="${getSubmissionLink(problem.url)}">Submissions</a>
-        <a href="${getSolutionLink(problem.url)}">Solutions</a>
-    </div>
-</body>
-</html>`;
-
-    await fs.writeFile(path.join(problemPath, 'description', 'problem.html'), html, 'utf8');
+    return {
+        ...problem,
+        tags: toItems(problem.tags, tag => getTagLink(tag, baseUrl)),
+        companies: toItems(problem.companies),
+        submissionsUrl: getSubmissionLink(problem.url),
+        solutionsUrl: getSolutionLink(problem.url)
+    };
 }
 
-async function convertHtmlToMarkdown(html, imageMap = new Map()) {
-    const preBlocks = [];
-    let preIndex = 0;
-
-    let htmlWithPlaceholders = html.replace(/<pre><code>([\s\S]*?)<\/code><\/pre>|<pre>([\s\S]*?)<\/pre>/g, (match, codeContent, preContent) => {
-        const content = codeContent || preContent;
-        const cleanContent = content
-            .replace(/<strong[^>]*>([\s\S]*?)<\/strong>/g, '$1')
-            .replace(/<em>([\s\S]*?)<\/em>/g, '$1')
-            .replace(/<[^>]+>/g, '');
-        const placeholder = `___PRE_BLOCK_${preIndex}___`;
-        preBlocks.push('```\n' + cleanContent + '\n```');
-        preIndex++;
-        return placeholder;
-    });
-
-    let markdown = htmlWithPlaceholders
-        .replace(/<img[^>]+src="([^"]+)"[^>]*>/g, (_, src) => {
-            const localPath = imageMap.get(src) || src;
-            return `![image](${localPath})`;
-        })
-        .replace(/<code>([\s\S]*?)<\/code>/g, (_, code) => {
-            const processed = code
-                .replace(/<sup>([\s\S]*?)<\/sup>/g, '^$1')
-                .replace(/<sub>([\s\S]*?)<\/sub>/g, '_$1')
-                .replace(/<[^>]+>/g, '');
-            return '`' + processed + '`';
-        })
-        .replace(/<strong[^>]*>([\s\S]*?)<\/strong>/g, '**$1**')
-        .replace(/<em>([\s\S]*?)<\/em>/g, '*$1*')
-        .replace(/<ul[^>]*>/g, '')
-        .replace(/<\/ul>/g, '')
-        .replace(/<ol[^>]*>/g, '')
-        .replace(/<\/ol>/g, '')
-        .replace(/<li>([\s\S]*?)<\/li>/g, '- $1\n')
-        .replace(/<p[^>]*>/g, '\n')
-        .replace(/<\/p>/g, '\n')
-        .replace(/<br\s*\/?>/g, '\n')
-        .replace(/<h1[^>]*>([\s\S]*?)<\/h1>/g, '# $1\n')
-        .replace(/<h2[^>]*>([\s\S]*?)<\/h2>/g, '## $1\n')
-        .replace(/<h3[^>]*>([\s\S]*?)<\/h3>/g, '### $1\n')
-        .replace(/<div[^>]*>/g, '')
-        .replace(/<\/div>/g, '')
-        .replace(/<span[^>]*>/g, '')
-        .replace(/<\/span>/g, '')
-        .replace(/<font[^>]*>/g, '')
-        .replace(/<\/font>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&le;/g, '<=')
-        .replace(/&ge;/g, '>=')
-        .replace(/&amp;/g, '&')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&times;/g, '×')
-        .replace(/&divide;/g, '÷')
-        .replace(/&#x([\dA-Fa-f]+);/g, (match, hex) => {
-            const code = parseInt(hex, 16);
-            return String.fromCharCode(code);
-        })
-        .replace(/&#(\d+);/g, (match, dec) => {
-            const code = parseInt(dec, 10);
-            return String.fromCharCode(code);
-        })
-        .replace(/<[^>]+>/g, '')
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
-
-    for (let i = 0; i < preBlocks.length; i++) {
-        markdown = markdown.replace(`___PRE_BLOCK_${i}___`, preBlocks[i]);
-    }
-
-    return markdown;
+async function saveProblemHtml(problem, problemPath, fileName = 'problem.html', template = getDefaultTemplate('html')) {
+    const html = renderTemplate(template, buildPageView(problem));
+    await fs.writeFile(path.join(problemPath, 'description', fileName), html, 'utf8');
 }
 
-async function saveProblemMarkdown(problem, problemPath) {
-    const tagsSection = problem.tags.length > 0
-        ? `**Tags:** ${problem.tags.map(t => `[\`${t}\`](${getTagLink(t)})`).join(', ')}`
-        : '';
-
-    const companiesSection = problem.companies.length > 0
-        ? `**Companies:** ${problem.companies.map(c => `\`${c}\``).join(', ')}`
-        : '';
-
-    const markdown = [
-        `# [${problem.id}. ${problem.name}](${problem.url})`,
-        '',
-        `| Category | Difficulty | Likes | Dislikes |`,
-        `| :------: | :--------: | :---: | :------: |`,
-        `| ${problem.category} | ${problem.difficulty} | ${problem.likes} | ${problem.dislikes} |`,
-        '',
-        tagsSection,
-        companiesSection ? '\n' + companiesSection : '',
-        '',
-        '## Description',
-        '',
-        problem.body,
-        '',
-        '---',
-        '',
-        `**Links:** [Submissions](${getSubmissionLink(problem.url)}) | [Solutions](${getSolutionLink(problem.url)})`,
-        ''
-    ].join('\n');
+async function saveProblemMarkdown(problem, problemPath, fileName = 'problem.md', template = getDefaultTemplate('md')) {
+    const markdown = renderTemplate(template, buildPageView(problem));
+    await fs.writeFile(path.join(problemPath, 'description', fileName), markdown, 'utf8');
+}
 
-    await fs.writeFile(path.join(problemPath, 'description', 'problem.md'), markdown, 'utf8');
+async function saveProblemBundle(problem, problemPath, fileName = BUNDLE_FILE) {
+    const html = await buildProblemBundle(buildPageView(problem), problemPath);
+    await fs.writeFile(path.join(problemPath, 'description', fileName), html, 'utf8');
 }
 
 async function main(startIndex = 2, customArgs = null) {
-    const CONFIG = customArgs ? parseArgs(0, customArgs) : parseArgs(startIndex);
+    let CONFIG;
+    let site;
+    try {
+        CONFIG = customArgs ? parseArgs(0, customArgs) : parseArgs(startIndex);
+        site = getSite();
+        if (CONFIG.site && CONFIG.site !== site.id) {
+            throw new Error(`Logged in to ${site.name}, not ${getSiteConfig(CONFIG.site).name}. Re-login with: leetcode-fetch logout && leetcode-fetch login --site ${CONFIG.site}`);
+        }
+        if (CONFIG.translations && !site.hasTranslations) {
+            throw new Error('--zh is only available on leetcode.cn. Log in with: leetcode-fetch login --site cn');
+        }
+        if (CONFIG.idsFile) {
+            const refs = await readProblemRefsFile(CONFIG.idsFile);
+            if (refs.length === 0) {
+                throw new Error(`No problems listed in ${CONFIG.idsFile}`);
+            }
+            CONFIG.problemIds.push(...refs);
+        }
+        CONFIG.problemIds.forEach(parseProblemRef);
+        CONFIG.pageTemplates = await loadPageTemplates({ html: CONFIG.htmlTemplate, md: CONFIG.mdTemplate });
+        http.configureRateLimiter({ rps: CONFIG.rps });
+        if (CONFIG.since && !CONFIG.refresh) {
+            throw new Error('--since can only be used together with --refresh');
+        }
+        if (CONFIG.retryReasons && !CONFIG.retryFailed) {
+            throw new Error('--reason can only be used together with --retry-failed');
+        }
+        if (CONFIG.retryFailed && CONFIG.refresh) {
+            throw new Error('--retry-failed cannot be combined with --refresh');
+        }
+        if (CONFIG.retryFailed && (CONFIG.problemIds.length > 0 || CONFIG.daily || CONFIG.dailyArchive ||
+            CONFIG.contest || CONFIG.list || CONFIG.studyPlan)) {
+            throw new Error('--retry-failed works on the whole dataset and cannot be combined with problem IDs, --daily, --contest, --list or --study-plan');
+        }
+    } catch (error) {
+        log.error(`\n\x1b[31m✗\x1b[0m ${error.message}\n`);
+        process.exit(1);
+    }
 
     const sessionValid = await verifySession();
     if (!sessionValid) {
-        console.log('\n\x1b[31m✗\x1b[0m Session expired or invalid');
-        console.log('\x1b[2m  Please login again: leetcode-fetch logout && leetcode-fetch login\x1b[0m\n');
+        log.error('\n\x1b[31m✗\x1b[0m Session expired or invalid');
+        log.error('\x1b[2m  Please login again: leetcode-fetch logout && leetcode-fetch login\x1b[0m\n');
         process.exit(1);
     }
 
-    console.log('\n\x1b[1mDownload Configuration\x1b[0m');
-    console.log(`\x1b[2m  Languages:\x1b[0m Auto-detected from each problem`);
-    console.log(`\x1b[2m  Formats:\x1b[0m ${CONFIG.formats.join(', ')}`);
-    console.log(`\x1b[2m  Templates:\x1b[0m ${CONFIG.fetchTemplates ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
-    console.log(`\x1b[2m  Solutions:\x1b[0m ${CONFIG.fetchSolutions ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
-    console.log(`\x1b[2m  Official solutions:\x1b[0m ${CONFIG.fetchOfficialSolution ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
-    if (!CONFIG.problemId) {
-        console.log(`\x1b[2m  Concurrency:\x1b[0m ${CONFIG.concurrency}`);
+    const outputFolder = path.join(workDir, CONFIG.dataDir || 'data/downloads');
+    try {
+        await applyDatasetLayout(outputFolder, CONFIG);
+    } catch (error) {
+        log.error(`\n\x1b[31m✗\x1b[0m ${error.message}\n`);
+        process.exit(1);
     }
-    console.log('');
 
-    if (CONFIG.problemId) {
-        const outputFolder = path.join(workDir, CONFIG.dataDir || 'data/downloads');
-        await fs.ensureDir(outputFolder);
+    const notAvailable = `\x1b[2mNot available on ${site.name}\x1b[0m`;
+    const solutionsInfo = !site.hasCommunitySolutions && CONFIG.fetchSolutions
+        ? notAvailable
+        : (CONFIG.fetchSolutions ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m');
+    const mineInfo = !site.hasSubmissionList && CONFIG.fetchMine
+        ? notAvailable
+        : (CONFIG.fetchMine ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m');
+    CONFIG.fetchSolutions = CONFIG.fetchSolutions && site.hasCommunitySolutions;
+    CONFIG.fetchMine = CONFIG.fetchMine && site.hasSubmissionList;
+
+    log.info('\n\x1b[1mDownload Configuration\x1b[0m');
+    log.info(`\x1b[2m  Site:\x1b[0m ${site.name}`);
+    log.info(`\x1b[2m  Languages:\x1b[0m Auto-detected from each problem`);
+    log.info(`\x1b[2m  Formats:\x1b[0m ${CONFIG.formats.join(', ')}`);
+    log.info(`\x1b[2m  Layout:\x1b[0m ${CONFIG.layout}${CONFIG.links.length > 0 ? ` (links: ${CONFIG.links.join(', ')})` : ''}`);
+    if (CONFIG.imageStore) {
+        log.info(`\x1b[2m  Image store:\x1b[0m ${CONFIG.imageStore} (${IMAGE_STORE_DIR}/)`);
+    }
+    if (CONFIG.htmlTemplate || CONFIG.mdTemplate) {
+        log.info(`\x1b[2m  Page templates:\x1b[0m ${[CONFIG.htmlTemplate, CONFIG.mdTemplate].filter(Boolean).join(', ')}`);
+    }
+    if (CONFIG.translations) {
+        log.info(`\x1b[2m  Chinese translation:\x1b[0m \x1b[32mYes\x1b[0m`);
+    }
+    log.info(`\x1b[2m  Templates:\x1b[0m ${CONFIG.fetchTemplates ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
+    log.info(`\x1b[2m  Solutions:\x1b[0m ${solutionsInfo}`);
+    log.info(`\x1b[2m  Official solutions:\x1b[0m ${CONFIG.fetchOfficialSolution ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
+    log.info(`\x1b[2m  My submissions:\x1b[0m ${mineInfo}`);
+    const targeted = CONFIG.problemIds.length > 0 || CONFIG.daily || CONFIG.dailyArchive || CONFIG.contest ||
+        CONFIG.list || CONFIG.studyPlan;
+    if (!targeted) {
+        log.info(`\x1b[2m  Concurrency:\x1b[0m ${CONFIG.concurrency}`);
+        log.info(`\x1b[2m  Rate limit:\x1b[0m ${CONFIG.rps} requests/s`);
+        if (CONFIG.refresh) {
+            log.info(`\x1b[2m  Refresh:\x1b[0m \x1b[32mYes\x1b[0m${CONFIG.since ? ` (fetched before ${CONFIG.since.toISOString()})` : ''}`);
+        }
+        if (CONFIG.retryFailed) {
+            log.info(`\x1b[2m  Retry failed:\x1b[0m \x1b[32mYes\x1b[0m${CONFIG.retryReasons ? ` (${CONFIG.retryReasons.join(', ')})` : ''}`);
+        }
+        if (hasProblemFilters(CONFIG)) {
+            log.info(`\x1b[2m  Filters:\x1b[0m ${describeProblemFilters(CONFIG)}`);
+        }
+    }
+    log.info('');
+
+    if (CONFIG.imageStore) {
+        const imageStore = await openImageStore(outputFolder, CONFIG.imageStore);
+        const failedImages = imageStore.failedCount;
+        if (failedImages > 0 && CONFIG.dryRun) {
+            log.info(`\x1b[36m›\x1b[0m Would retry \x1b[1m${failedImages}\x1b[0m images that failed in earlier runs\n`);
+        } else if (failedImages > 0) {
+            const spinner = new Spinner(`Retrying ${failedImages} images that failed in earlier runs`);
+            spinner.start();
+            const { retried, recovered } = await imageStore.retryFailed();
+            spinner.stop();
+            log.info(`\x1b[36m›\x1b[0m Recovered \x1b[1m${recovered}/${retried}\x1b[0m images that failed in earlier runs\n`);
+        }
+    }
 
-        console.log(`\x1b[2m  Output folder:\x1b[0m ${outputFolder}\n`);
+    if (targeted) {
+        if (!CONFIG.dryRun) {
+            await fs.ensureDir(outputFolder);
+        }
 
-        console.log(`Fetching problem ${CONFIG.problemId}...`);
+        log.info(`\x1b[2m  Output folder:\x1b[0m ${outputFolder}\n`);
 
+        const targets = [];
         try {
-            const query = `
-                query problemsetQuestionList($categorySlug: String, $limit: Int, $skip: Int, $filters: QuestionListFilterInput) {
-                    problemsetQuestionList: questionList(
-                        categorySlug: $categorySlug
-                        limit: $limit
-                        skip: $skip
-                        filters: $filters
-                    ) {
-                        questions: data {
-                            questionFrontendId
-                            title
-                            titleSlug
-                            difficulty
-                            isPaidOnly
-                            topicTags {
-                                name
-                                slug
-                            }
-                            companyTags {
-                                name
-                                slug
-                            }
-                        }
-                    }
+            const challenges = [];
+            if (CONFIG.dailyArchive) {
+                const archive = await retryAsync(() => getDailyArchive(CONFIG.dailyArchive.year, CONFIG.dailyArchive.month));
+                log.info(`\x1b[36m›\x1b[0m Found \x1b[1m${archive.length}\x1b[0m daily challenges for ${CONFIG.dailyArchive.label}\n`);
+                challenges.push(...archive);
+            }
+            if (CONFIG.daily) {
+                const today = await retryAsync(() => getDailyChallenge());
+                log.info(`\x1b[36m›\x1b[0m Daily challenge for ${today.date}: \x1b[1m${today.problem.id}. ${today.problem.name}\x1b[0m\n`);
+                challenges.push(today);
+            }
+            if (challenges.length > 0 && !CONFIG.dryRun) {
+                await recordDailyQuestions(outputFolder, challenges);
+            }
+
+            const seen = new Set();
+            for (const { date, problem } of challenges) {
+                if (!seen.has(problem.id)) {
+                    seen.add(problem.id);
+                    targets.push({ label: `${problem.id} (daily ${date})`, resolve: async () => problem });
                 }
-            `;
+            }
 
-            const data = await fetchFromLeetCodeAPI(query, {
-                categorySlug: '',
-                limit: 1,
-                skip: 0,
-                filters: { searchKeywords: CONFIG.problemId }
-            });
+            if (CONFIG.contest) {
+                const contest = await retryAsync(() => getContestInfo(CONFIG.contest));
+                const contestProblems = [];
+                for (const question of contest.questions) {
+                    const problem = await resolveProblem(question.slug);
+                    contestProblems.push({
+                        order: contestProblems.length + 1,
+                        id: problem.id,
+                        slug: problem.slug,
+                        name: problem.name,
+                        difficulty: problem.difficulty,
+                        points: question.points,
+                        path: path.relative(outputFolder, getProblemPath(problem, outputFolder, CONFIG.layout))
+                    });
+                    targets.push({ label: `${problem.id} (${contest.title} Q${contestProblems.length})`, resolve: async () => problem });
+                }
 
-            if (!data.data || !data.data.problemsetQuestionList || data.data.problemsetQuestionList.questions.length === 0) {
-                console.log(`\x1b[31m✗\x1b[0m Problem ${CONFIG.problemId} not found\n`);
-                return;
+                const contestManifest = {
+                    slug: contest.slug,
+                    title: contest.title,
+                    url: contest.url,
+                    startTime: contest.startTime,
+                    duration: contest.duration,
+                    problems: contestProblems
+                };
+                const contestPath = CONFIG.dryRun
+                    ? getContestPath(outputFolder, contest.slug)
+                    : await writeContestManifest(outputFolder, contestManifest);
+                log.info(`\x1b[36m›\x1b[0m ${contest.title}: \x1b[1m${contestProblems.length}\x1b[0m problems \x1b[2m(${CONFIG.dryRun ? 'would write ' : ''}manifest: ${path.relative(workDir, contestPath)})\x1b[0m\n`);
             }
 
-            const q = data.data.problemsetQuestionList.questions[0];
-            const problem = {
-                id: q.questionFrontendId,
-                name: q.title,
-                slug: q.titleSlug,
-                difficulty: q.difficulty,
-                locked: q.isPaidOnly,
-                tags: q.topicTags.map(t => t.slug),
-                companies: q.companyTags ? q.companyTags.map(c => c.slug) : []
-            };
+            const collections = [];
+            if (CONFIG.studyPlan) {
+                collections.push(await retryAsync(() => getStudyPlan(CONFIG.studyPlan)));
+            }
+            if (CONFIG.list) {
+                collections.push(await retryAsync(() => getFavoriteList(CONFIG.list)));
+            }
+            for (const collection of collections) {
+                let order = 0;
+                const sections = collection.sections.map(section => ({
+                    name: section.name,
+                    problems: section.problems.map(problem => ({
+                        order: ++order,
+                        id: problem.id,
+                        slug: problem.slug,
+                        name: problem.name,
+                        difficulty: problem.difficulty,
+                        path: path.relative(outputFolder, getProblemPath(problem, outputFolder, CONFIG.layout))
+                    }))
+                }));
+
+                for (const problem of collection.sections.flatMap(section => section.problems)) {
+                    if (!seen.has(problem.id)) {
+                        seen.add(problem.id);
+                        targets.push({ label: `${problem.id} (${collection.name})`, resolve: async () => problem });
+                    }
+                }
 
-            const user = getUser();
-            const isPremiumUser = user && user.paid;
+                const curriculumPath = CONFIG.dryRun
+                    ? getCurriculumPath(outputFolder, collection.type, collection.slug)
+                    : await writeCurriculum(outputFolder, { ...collection, sections });
+                log.info(`\x1b[36m›\x1b[0m ${collection.name}: \x1b[1m${order}\x1b[0m problems in ${sections.length} section(s) \x1b[2m(${CONFIG.dryRun ? 'would write ' : ''}curriculum: ${path.relative(workDir, curriculumPath)})\x1b[0m\n`);
+            }
+        } catch (error) {
+            log.error(`\n\x1b[31m✗\x1b[0m ${error.message}\n`);
+            process.exit(1);
+        }
+        for (const problemRef of CONFIG.problemIds) {
+            targets.push({ label: problemRef, resolve: () => resolveProblem(problemRef) });
+        }
 
-            if (problem.locked && !isPremiumUser) {
-                console.log(`\x1b[33m⚠\x1b[0m  Problem is locked (premium only)`);
-                console.log(`\x1b[31m✗\x1b[0m  Skipped (requires premium account)\n`);
-                return;
+        const datasetIndex = await new DatasetIndex(outputFolder).load();
+        const user = getUser();
+        const isPremiumUser = user && user.paid;
+        const total = targets.length;
+        let failed = 0;
+        const plan = { items: [], completed: 0, premium: 0 };
+
+        for (let i = 0; i < total; i++) {
+            const target = targets[i];
+            const progress = `${i + 1}/${total}`;
+
+            log.info(`Fetching problem ${target.label}...`);
+
+            try {
+                const problem = await target.resolve();
+
+                if (problem.locked && !isPremiumUser) {
+                    log.warn(`\x1b[33m⚠\x1b[0m  Problem ${problem.id} is locked (premium only)`);
+                    log.error(`\x1b[31m✗\x1b[0m  Skipped (requires premium account)\n`);
+                    failed++;
+                    plan.premium++;
+                    emit('problem-skipped', { id: problem.id, slug: problem.slug, reason: 'premium' });
+                    continue;
+                }
+
+                if (CONFIG.dryRun) {
+                    const existing = datasetIndex.get(problem.id);
+                    plan.items.push({
+                        problem,
+                        action: 'fetch',
+                        path: getProblemPath(problem, outputFolder, CONFIG.layout),
+                        reasons: existing ? ['already downloaded, would be overwritten'] : null
+                    });
+                    continue;
+                }
+
+                emit('problem-started', { id: problem.id, slug: problem.slug, name: problem.name, progress });
+                const status = await downloadProblem(problem, outputFolder, CONFIG);
+                await datasetIndex.update(problem.id, status.problemPath);
+                log.info('');
+                displayDownloadStatus(problem, status, progress);
+                log.info('');
+                emitProblemResult(problem, status, getIncompleteReasons(status, CONFIG));
+            } catch (error) {
+                failed++;
+                emit('problem-failed', { ref: target.label, reasons: ['Exception: ' + error.message] });
+                log.error(`\n\x1b[31m✗\x1b[0m Download failed`);
+                log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
+                if (error.message.startsWith('SESSION_EXPIRED:')) {
+                    break;
+                }
             }
+        }
 
-            const status = await downloadProblem(problem, outputFolder, CONFIG);
-            console.log('');
-            displayDownloadStatus(problem, status, '1/1', outputFolder);
-            console.log('');
-        } catch (error) {
-            console.log(`\n\x1b[31m✗\x1b[0m Download failed`);
-            console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+        if (CONFIG.dryRun) {
+            log.info('');
+            displayDownloadPlan(plan, outputFolder);
+            return;
+        }
+
+        if (total > 1) {
+            log.info('\x1b[1mDownload Summary\x1b[0m');
+            log.info(`\x1b[2m  Requested:\x1b[0m ${total}`);
+            log.info(`\x1b[2m  Succeeded:\x1b[0m \x1b[32m${total - failed}\x1b[0m`);
+            if (failed > 0) {
+                log.info(`\x1b[2m  Failed or skipped:\x1b[0m \x1b[31m${failed}\x1b[0m`);
+            }
+            log.info(`\x1b[2m  Saved to:\x1b[0m ${outputFolder}\n`);
         }
+        emitSummary({ requested: total, succeeded: total - failed, failed, output: outputFolder });
         return;
     }
 
-    const outputFolder = path.join(workDir, CONFIG.dataDir || 'data/downloads');
+    if (!CONFIG.dryRun) {
+        await fs.ensureDir(outputFolder);
+    }
 
-    await fs.ensureDir(outputFolder);
+    log.info(`\x1b[2m  Output folder:\x1b[0m ${outputFolder}\n`);
+
+    const listFilters = buildQuestionListFilters(CONFIG);
+    const cachedList = CONFIG.refreshList
+        ? null
+        : (await loadProblemList(outputFolder, {}, CONFIG.listTtl)) || (await loadProblemList(outputFolder, listFilters, CONFIG.listTtl));
 
-    console.log(`\x1b[2m  Output folder:\x1b[0m ${outputFolder}\n`);
+    let allProblems;
+    if (cachedList) {
+        // Solved flags in the cache may be a day old; without them --mine checks every problem
+        allProblems = cachedList.problems.map(({ solved, ...problem }) => problem);
+        log.info(`\x1b[36m›\x1b[0m Using cached problems list \x1b[2m(fetched ${cachedList.fetchedAt}, use --refresh-list to update)\x1b[0m\n`);
+    } else {
+        const listSpinner = new Spinner('Fetching problems list');
+        listSpinner.start();
+        allProblems = await listProblems(listFilters);
+        listSpinner.stop();
+        if (!CONFIG.dryRun) {
+            await saveProblemList(outputFolder, listFilters, allProblems);
+        }
+    }
 
-    const listSpinner = new Spinner('Fetching problems list');
-    listSpinner.start();
-    const problems = await listProblems();
-    listSpinner.stop();
+    const problems = applyProblemFilters(allProblems, CONFIG);
 
     const progressFilePath = path.join(outputFolder, '.download-progress.json');
+    const datasetIndex = await new DatasetIndex(outputFolder).load();
     let completedProblems = new Set();
+    let mineProblems = new Set();
     let failedProblems = {};
 
     if (await fs.pathExists(progressFilePath)) {
         try {
             const progressData = await fs.readJson(progressFilePath);
             completedProblems = new Set(progressData.completed || []);
+            mineProblems = new Set(progressData.mine || []);
             failedProblems = progressData.failed || {};
             const failedCount = Object.keys(failedProblems).length;
-            console.log(`\x1b[36m›\x1b[0m Found existing progress:`);
-            console.log(`  \x1b[32m${completedProblems.size}\x1b[0m completed (will skip)`);
+            const partialCount = Object.values(failedProblems).filter(entry => entry.artifacts && entry.artifacts.length > 0).length;
+            log.info(`\x1b[36m›\x1b[0m Found existing progress:`);
+            log.info(`  \x1b[32m${completedProblems.size}\x1b[0m completed (${CONFIG.refresh ? 'will check for changes' : 'will skip'})`);
             if (failedCount > 0) {
-                console.log(`  \x1b[33m${failedCount}\x1b[0m failed (will retry)`);
+                const partialInfo = partialCount > 0 ? `, ${partialCount} only fetch their missing pieces` : '';
+                log.info(`  \x1b[33m${failedCount}\x1b[0m failed (will retry${partialInfo})`);
             }
-            console.log('');
+            log.info('');
         } catch (error) {
-            console.log(`\x1b[33m⚠\x1b[0m  Could not read progress file, starting fresh\n`);
+            log.warn(`\x1b[33m⚠\x1b[0m  Could not read progress file, starting fresh\n`);
         }
     }
 
-    console.log(`\x1b[36m›\x1b[0m Found \x1b[1m${problems.length}\x1b[0m problems\n`);
+    let retryIds = null;
+    let retryBefore = null;
+    if (CONFIG.retryFailed) {
+        retryIds = new Set(selectFailures(failedProblems, CONFIG.retryReasons));
+        if (retryIds.size === 0) {
+            const reasonInfo = CONFIG.retryReasons ? ` for ${CONFIG.retryReasons.join(', ')}` : '';
+            log.info(`\x1b[32m✓\x1b[0m No failed problems recorded${reasonInfo} in ${path.relative(workDir, progressFilePath)}\n`);
+            emitSummary({ total: 0, progressFile: progressFilePath, output: outputFolder });
+            return;
+        }
+        retryBefore = countFailures(failedProblems, retryIds);
+
+        const listedIds = new Set(problems.map(problem => problem.id));
+        const unlisted = Array.from(retryIds).filter(id => !listedIds.has(id));
+        log.info(`\x1b[36m›\x1b[0m Retrying \x1b[1m${retryIds.size - unlisted.length}\x1b[0m failed problems`);
+        if (unlisted.length > 0) {
+            log.info(`\x1b[2m  ${unlisted.length} failed problems are not in the ${hasProblemFilters(CONFIG) ? 'filtered ' : ''}problem list and are left as they are\x1b[0m`);
+        }
+        log.info('');
+    } else if (hasProblemFilters(CONFIG)) {
+        log.info(`\x1b[36m›\x1b[0m Found \x1b[1m${problems.length}\x1b[0m problems matching filters\n`);
+    } else {
+        log.info(`\x1b[36m›\x1b[0m Found \x1b[1m${problems.length}\x1b[0m problems\n`);
+    }
 
     let completed = 0;
     let failed = 0;
     let skipped = 0;
     let alreadyDownloaded = 0;
+    let added = 0;
+    let changed = 0;
+    let unchanged = 0;
     let processedCount = 0;
+    let interrupted = 0;
     let shouldStop = false;
+    let stopSignal = null;
 
-    const totalProblems = problems.length;
+    const candidates = retryIds ? problems.filter(problem => retryIds.has(problem.id)) : problems;
+    const totalProblems = candidates.length;
     const user = getUser();
     const isPremiumUser = user && user.paid;
 
     const problemsToDownload = [];
-    for (let i = 0; i < problems.length; i++) {
-        const problem = problems[i];
+    for (let i = 0; i < candidates.length; i++) {
+        const problem = candidates[i];
 
         if (problem.locked && !isPremiumUser) {
-            const tag = problem.tags && problem.tags.length > 0 ? problem.tags[0] : 'uncategorized';
-            const tagFolder = sanitizeFolderName(tag);
-            const problemName = sanitizeFolderName(problem.name).toLowerCase();
-            const problemFolder = `${('0000' + problem.id).slice(-4)}_${problem.difficulty}_${problemName}`;
-            const relativeOutputFolder = path.relative(workDir, outputFolder);
-            const relativePath = path.join(relativeOutputFolder, tagFolder, problemFolder);
-            console.log(`\x1b[90m⊘\x1b[0m \x1b[90m[\x1b[0m\x1b[36m${i + 1}/${totalProblems}\x1b[0m\x1b[90m]\x1b[0m \x1b[33m[Premium]\x1b[0m ${relativePath}  \x1b[90mSkipped (requires premium account)\x1b[0m`);
+            emit('problem-skipped', { id: problem.id, slug: problem.slug, reason: 'premium' });
+            const relativePath = path.relative(workDir, getProblemPath(problem, outputFolder, CONFIG.layout));
+            log.info(`\x1b[90m⊘\x1b[0m \x1b[90m[\x1b[0m\x1b[36m${i + 1}/${totalProblems}\x1b[0m\x1b[90m]\x1b[0m \x1b[33m[Premium]\x1b[0m ${relativePath}  \x1b[90mSkipped (requires premium account)\x1b[0m`);
             skipped++;
             continue;
         }
 
-        if (completedProblems.has(problem.id)) {
-            alreadyDownloaded++;
+        if (completedProblems.has(problem.id) && (!CONFIG.fetchMine || mineProblems.has(problem.id))) {
+            if (CONFIG.refresh) {
+                problemsToDownload.push({ problem, index: i, refresh: true });
+            } else {
+                alreadyDownloaded++;
+            }
             continue;
         }
 
-        problemsToDownload.push({ problem, index: i });
+        problemsToDownload.push({ problem, index: i, refresh: false });
+    }
+
+    if (CONFIG.dryRun) {
+        if (skipped > 0) {
+            log.info('');
+        }
+        displayDownloadPlan({
+            items: problemsToDownload.map(({ problem, refresh }) => {
+                const failure = failedProblems[problem.id];
+                return {
+                    problem,
+                    action: refresh ? 'refresh' : (failure ? 'retry' : 'fetch'),
+                    path: getProblemPath(problem, outputFolder, CONFIG.layout),
+                    reasons: failure && !refresh ? failure.reasons : null
+                };
+            }),
+            completed: alreadyDownloaded,
+            premium: skipped
+        }, outputFolder);
+        return;
     }
 
-    const downloadWorker = async ({ problem, index }) => {
+    const getProgressData = () => ({
+        completed: Array.from(completedProblems),
+        mine: Array.from(mineProblems),
+        failed: failedProblems,
+        lastUpdated: new Date().toISOString()
+    });
+
+    // Workers finish concurrently, so writes are chained and each one replaces the
+    // file atomically; an interrupt can never leave a truncated progress file behind
+    let progressWrite = Promise.resolve();
+    const saveProgress = () => {
+        progressWrite = progressWrite.catch(() => {}).then(async () => {
+            const tempPath = `${progressFilePath}.${process.pid}.tmp`;
+            await fs.writeJson(tempPath, getProgressData(), { spaces: 2 });
+            await fs.rename(tempPath, progressFilePath);
+        });
+        return progressWrite;
+    };
+
+    const onSignal = (signal) => {
+        if (stopSignal) {
+            log.error(`\n\x1b[31m✗\x1b[0m ${signal} received again, exiting without waiting for in-flight problems`);
+            // A chained save may still own the usual temp file, so this one gets its own
+            const tempPath = `${progressFilePath}.${process.pid}.exit.tmp`;
+            fs.writeJsonSync(tempPath, getProgressData(), { spaces: 2 });
+            fs.renameSync(tempPath, progressFilePath);
+            process.exit(signal === 'SIGINT' ? 130 : 143);
+        }
+        stopSignal = signal;
+        shouldStop = true;
+        log.warn(`\n\x1b[33m⚠\x1b[0m  ${signal} received, finishing in-flight problems and saving progress...`);
+        log.warn('\x1b[2m  Press Ctrl-C again to exit immediately\x1b[0m\n');
+    };
+
+    const checkForChanges = async (problem, progress) => {
+        let entry = datasetIndex.get(problem.id);
+        if (!entry) {
+            const problemPath = getProblemPath(problem, outputFolder, CONFIG.layout);
+            if (await fs.pathExists(problemPath)) {
+                entry = await datasetIndex.update(problem.id, problemPath);
+            }
+        }
+
+        if (entry && CONFIG.since && entry.fetchedAt && new Date(entry.fetchedAt) > CONFIG.since) {
+            return [];
+        }
+
+        const changes = entry ? await retryAsync(() => getProblemChanges(problem.slug, entry)) : ['missing'];
+        if (changes.length > 0) {
+            const relativePath = path.relative(workDir, getProblemPath(problem, outputFolder, CONFIG.layout));
+            log.info(`\x1b[36m↻\x1b[0m \x1b[90m[\x1b[0m\x1b[36m${progress}\x1b[0m\x1b[90m]\x1b[0m ${relativePath}  \x1b[90mChanged: ${changes.join(', ')}\x1b[0m`);
+        }
+        return changes;
+    };
+
+    const downloadWorker = async ({ problem, index, refresh }) => {
         if (shouldStop) return;
 
+        processedCount++;
         const progress = `${index + 1}/${totalProblems}`;
+        let artifacts = [];
+        emit('problem-started', { id: problem.id, slug: problem.slug, name: problem.name, progress, refresh });
 
         try {
-            const status = await downloadProblem(problem, outputFolder, CONFIG);
+            if (refresh) {
+                const changes = await checkForChanges(problem, progress);
+                if (changes.length === 0) {
+                    unchanged++;
+                    emit('problem-skipped', { id: problem.id, slug: problem.slug, reason: 'unchanged' });
+                    return;
+                }
+                changed++;
+            } else if (CONFIG.refresh) {
+                added++;
+            }
+
+            const previous = failedProblems[problem.id];
+            artifacts = !refresh && previous && previous.artifacts ? [...previous.artifacts] : [];
 
-            displayDownloadStatus(problem, status, progress, outputFolder);
+            const status = await downloadProblem(problem, outputFolder, CONFIG, {
+                artifacts,
+                isStopping: () => shouldStop
+            });
+            await datasetIndex.update(problem.id, status.problemPath);
+
+            displayDownloadStatus(problem, status, progress);
 
-            const isFullyComplete = status.description.success &&
-                (!CONFIG.fetchTemplates || status.templates.count === status.templates.total) &&
-                (!CONFIG.fetchOfficialSolution || status.officialSolution.count === status.officialSolution.total) &&
-                (!CONFIG.fetchSolutions || status.communitySolutions.count === status.communitySolutions.total);
+            const failureReasons = getIncompleteReasons(status, CONFIG);
+            if (status.interrupted) {
+                failureReasons.unshift(`Interrupted by ${stopSignal || 'shutdown'}`);
+            }
+            emitProblemResult(problem, status, failureReasons);
 
-            if (isFullyComplete) {
+            if (failureReasons.length === 0) {
                 completed++;
                 completedProblems.add(problem.id);
+                if (CONFIG.fetchMine) {
+                    mineProblems.add(problem.id);
+                }
                 if (failedProblems[problem.id]) {
                     delete failedProblems[problem.id];
                 }
             } else {
-                failed++;
-                const failureReasons = [];
-
-                if (!status.description.success) {
-                    failureReasons.push('Description download failed');
-                }
-                if (CONFIG.fetchTemplates && status.templates.count < status.templates.total) {
-                    failureReasons.push(`Templates incomplete: ${status.templates.count}/${status.templates.total}`);
-                }
-                if (CONFIG.fetchOfficialSolution && status.officialSolution.count < status.officialSolution.total) {
-                    failureReasons.push(`Official solution incomplete: ${status.officialSolution.count}/${status.officialSolution.total}`);
-                }
-                if (CONFIG.fetchSolutions && status.communitySolutions.count < status.communitySolutions.total) {
-                    failureReasons.push(`Community solutions incomplete: ${status.communitySolutions.count}/${status.communitySolutions.total}`);
+                completedProblems.delete(problem.id);
+                if (status.interrupted) {
+                    interrupted++;
+                } else {
+                    failed++;
                 }
 
                 failedProblems[problem.id] = {
                     name: problem.name,
                     slug: problem.slug,
                     reasons: failureReasons,
+                    errors: status.errors,
                     lastAttempt: new Date().toISOString(),
-                    status: {
-                        description: `${status.description.success ? 1 : 0}/1`,
-                        templates: `${status.templates.count}/${status.templates.total}`,
-                        official: `${status.officialSolution.count}/${status.officialSolution.total}`,
-                        community: `${status.communitySolutions.count}/${status.communitySolutions.total}`
-                    }
+                    artifacts,
+                    status: getStatusCounts(status)
                 };
             }
 
-            await fs.writeJson(progressFilePath, {
-                completed: Array.from(completedProblems),
-                failed: failedProblems,
-                lastUpdated: new Date().toISOString()
-            }, { spaces: 2 });
+            await saveProgress();
 
         } catch (error) {
             if (error.message.startsWith('SESSION_EXPIRED:')) {
                 shouldStop = true;
-                console.log(`\n\x1b[31m✗\x1b[0m ${error.message.replace('SESSION_EXPIRED: ', '')}`);
-                console.log(`\x1b[2m  Download stopped. Progress saved. Run download again after re-login to continue.\x1b[0m\n`);
+                log.error(`\n\x1b[31m✗\x1b[0m ${error.message.replace('SESSION_EXPIRED: ', '')}`);
+                log.error(`\x1b[2m  Download stopped. Progress saved. Run download again after re-login to continue.\x1b[0m\n`);
 
-                await fs.writeJson(progressFilePath, {
-                    completed: Array.from(completedProblems),
-                    failed: failedProblems,
-                    lastUpdated: new Date().toISOString()
-                }, { spaces: 2 });
+                await saveProgress();
 
                 process.exit(1);
             }
 
             failed++;
+            emit('problem-failed', { id: problem.id, slug: problem.slug, reasons: ['Exception: ' + error.message], artifacts });
             failedProblems[problem.id] = {
                 name: problem.name,
                 slug: problem.slug,
                 reasons: ['Exception: ' + error.message],
                 lastAttempt: new Date().toISOString(),
+                artifacts,
                 stack: error.stack
             };
 
-            await fs.writeJson(progressFilePath, {
-                completed: Array.from(completedProblems),
-                failed: failedProblems,
-                lastUpdated: new Date().toISOString()
-            }, { spaces: 2 });
+            await saveProgress();
         }
     };
 
-    for (let i = 0; i < problemsToDownload.length; i += CONFIG.concurrency) {
-        const batch = problemsToDownload.slice(i, i + CONFIG.concurrency);
-        await Promise.all(batch.map(downloadWorker));
-        if (shouldStop) break;
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    try {
+        await runWorkerPool(problemsToDownload, CONFIG.concurrency, downloadWorker, () => shouldStop);
+    } finally {
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+    }
+    await saveProgress();
+
+    const retryAfter = retryIds ? countFailures(failedProblems, retryIds) : null;
+    if (retryIds) {
+        displayRetryTable(retryBefore, retryAfter);
     }
 
-    console.log('\n\x1b[1mDownload Summary\x1b[0m');
-    console.log(`\x1b[2m  Total:\x1b[0m ${problems.length}`);
-    console.log(`\x1b[2m  Succeeded:\x1b[0m \x1b[32m${completed}\x1b[0m`);
+    log.info('\n\x1b[1mDownload Summary\x1b[0m');
+    log.info(`\x1b[2m  Total:\x1b[0m ${totalProblems}`);
+    log.info(`\x1b[2m  Succeeded:\x1b[0m \x1b[32m${completed}\x1b[0m`);
+    if (CONFIG.refresh) {
+        log.info(`\x1b[2m  Added:\x1b[0m \x1b[32m${added}\x1b[0m`);
+        log.info(`\x1b[2m  Changed:\x1b[0m \x1b[36m${changed}\x1b[0m`);
+        log.info(`\x1b[2m  Unchanged:\x1b[0m ${unchanged}`);
+    }
     if (alreadyDownloaded > 0) {
-        console.log(`\x1b[2m  Already downloaded:\x1b[0m \x1b[36m${alreadyDownloaded}\x1b[0m`);
+        log.info(`\x1b[2m  Already downloaded:\x1b[0m \x1b[36m${alreadyDownloaded}\x1b[0m`);
     }
     if (failed > 0) {
-        console.log(`\x1b[2m  Failed:\x1b[0m \x1b[31m${failed}\x1b[0m`);
-        console.log(`\x1b[2m  Failed details saved in:\x1b[0m ${progressFilePath}`);
+        log.info(`\x1b[2m  Failed:\x1b[0m \x1b[31m${failed}\x1b[0m`);
+        log.info(`\x1b[2m  Failed details saved in:\x1b[0m ${progressFilePath}`);
     }
     if (skipped > 0) {
-        console.log(`\x1b[2m  Skipped (locked):\x1b[0m \x1b[33m${skipped}\x1b[0m`);
+        log.info(`\x1b[2m  Skipped (locked):\x1b[0m \x1b[33m${skipped}\x1b[0m`);
+    }
+    if (stopSignal) {
+        const notStarted = problemsToDownload.length - processedCount;
+        log.info(`\x1b[2m  Interrupted:\x1b[0m \x1b[33m${interrupted}\x1b[0m partially saved, ${notStarted} not started`);
+    }
+    log.info(`\x1b[2m  Saved to:\x1b[0m ${outputFolder}\n`);
+
+    emitSummary({
+        ok: !stopSignal,
+        total: totalProblems,
+        succeeded: completed,
+        failed,
+        skipped,
+        alreadyDownloaded,
+        ...(CONFIG.refresh ? { added, changed, unchanged } : {}),
+        ...(retryIds ? { retry: { before: retryBefore, after: retryAfter } } : {}),
+        ...(stopSignal ? { interrupted, notStarted: problemsToDownload.length - processedCount, signal: stopSignal } : {}),
+        progressFile: progressFilePath,
+        output: outputFolder
+    });
+
+    if (stopSignal) {
+        log.info('\x1b[2m  Run the same command again to resume where it stopped\x1b[0m\n');
+        process.exit(stopSignal === 'SIGINT' ? 130 : 143);
     }
-    console.log(`\x1b[2m  Saved to:\x1b[0m ${outputFolder}\n`);
 }
 
 if (require.main === module) {
@@ -1284,13 +2707,17 @@ if (require.main === module) {
             await main();
             process.exit(0);
         } catch (error) {
-            console.log(`\n\x1b[31m✗\x1b[0m Download error`);
-            console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            log.error(`\n\x1b[31m✗\x1b[0m Download error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
             process.exit(1);
         }
     })();
 }
 
 module.exports = {
-    main
+    main,
+    processHtmlBody,
+    saveProblemHtml,
+    saveProblemMarkdown,
+    saveProblemBundle
 };
@@ -0,0 +1,50 @@
+/**
+ * @file events.js
+ * @description NDJSON event stream for --json: events go to stdout, human-readable output to stderr
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const writeStdout = process.stdout.write.bind(process.stdout);
+
+let jsonOutput = false;
+let commandName = null;
+let summaryEmitted = false;
+
+function enableJsonOutput(command) {
+    jsonOutput = true;
+    commandName = command;
+
+    // Log lines, spinners and progress counters all write through process.stdout,
+    // so moving that one stream keeps stdout clean for the events
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+
+    // Commands that exit early (errors, process.exit) still end with a summary line
+    process.on('exit', (code) => {
+        if (!summaryEmitted) {
+            emitSummary({ ok: code === 0, exitCode: code });
+        }
+    });
+}
+
+function isJsonOutput() {
+    return jsonOutput;
+}
+
+function emit(event, data = {}) {
+    if (!jsonOutput) return;
+    writeStdout(JSON.stringify({ event, command: commandName, time: new Date().toISOString(), ...data }) + '\n');
+}
+
+function emitSummary(data = {}) {
+    if (!jsonOutput || summaryEmitted) return;
+    summaryEmitted = true;
+    emit('summary', { ok: true, ...data });
+}
+
+module.exports = {
+    enableJsonOutput,
+    isJsonOutput,
+    emit,
+    emitSummary
+};
@@ -7,37 +7,24 @@
 
 const path = require('path');
 const fs = require('fs-extra');
+const { METADATA_FILE, readMetadata } = require('./metadata');
+const { findProblemFolders, loadIndex } = require('./dataset-index');
+const { loadDatasetConfig } = require('./layout');
+const { emit, emitSummary } = require('./events');
+const {
+    parseDifficulties,
+    parseSlugList,
+    parseIdRange,
+    hasProblemFilters,
+    describeProblemFilters,
+    applyProblemFilters
+} = require('./filters');
+const { IMAGE_STORE_DIR, copyStoreReferences } = require('./image-store');
+const { log } = require('./logger');
+const { LANGUAGE_EXT_MAP } = require('./languages');
 
 const workDir = process.cwd();
 
-const LANGUAGE_EXT_MAP = {
-    'cpp': 'cpp',
-    'java': 'java',
-    'python3': 'py',
-    'python': 'py2',
-    'javascript': 'js',
-    'typescript': 'ts',
-    'csharp': 'cs',
-    'c': 'c',
-    'golang': 'go',
-    'kotlin': 'kt',
-    'swift': 'swift',
-    'rust': 'rs',
-    'ruby': 'rb',
-    'php': 'php',
-    'dart': 'dart',
-    'scala': 'scala',
-    'elixir': 'ex',
-    'erlang': 'erl',
-    'racket': 'rkt',
-    'mysql': 'sql',
-    'mssql': 'mssql.sql',
-    'postgresql': 'pgsql.sql',
-    'oraclesql': 'oracle.sql',
-    'pythondata': 'pandas.py',
-    'bash': 'sh'
-};
-
 function parseExportArgs(startIndex = 2, customArgs = null) {
     const args = customArgs || process.argv.slice(startIndex);
     const config = {
@@ -45,14 +32,20 @@ function parseExportArgs(startIndex = 2, customArgs = null) {
         output: null,
         languages: null,
         format: 'md',
-        includeOfficial: false
+        includeOfficial: false,
+        difficulties: null,
+        tags: null,
+        companies: null,
+        range: null,
+        freeOnly: false,
+        dryRun: false
     };
 
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
 
         if (arg === '--help' || arg === '-h') {
-            console.log(`
+            log.print(`
 LeetCode Problems Exporter
 
 Usage: leetcode-fetch export [options]
@@ -64,16 +57,26 @@ Options:
   --languages, -l <langs>   Languages to export (comma-separated)
                             Example: python3,cpp,javascript
                             Default: all available languages
-  --format, -f <format>     Description format: html, md, or raw
+  --format, -f <format>     Description format: html, md, raw or html-bundle
                             Default: md
   --official               Include official solutions
+  --dry-run                List the files and total size without copying anything
   --help, -h               Show this help message
 
+Filters:
+  --difficulty <list>      Comma-separated difficulties: easy, medium, hard
+  --tags <slugs>           Comma-separated topic tag slugs (matches any)
+  --companies <slugs>      Comma-separated company slugs (matches any)
+  --range <from-to>        Problem ID range, inclusive (e.g. 1-500)
+  --free-only              Only export free problems
+
 Examples:
   leetcode-fetch export -o ./my-problems -l python3,cpp -f md --official
   leetcode-fetch export --output ./export --languages javascript --format html
   leetcode-fetch export -o ./export -l python3
   leetcode-fetch export -s data/my-dataset -o ./export
+  leetcode-fetch export -o ./export --difficulty hard --tags graph
+  leetcode-fetch export -o ./export -l python3 --dry-run
             `);
             process.exit(0);
         } else if (arg === '--source-dir' || arg === '-s') {
@@ -87,6 +90,18 @@ Examples:
             config.format = args[++i].trim().toLowerCase();
         } else if (arg === '--official') {
             config.includeOfficial = true;
+        } else if (arg === '--difficulty') {
+            config.difficulties = parseDifficulties(args[++i]);
+        } else if (arg === '--tags') {
+            config.tags = parseSlugList(args[++i]);
+        } else if (arg === '--companies') {
+            config.companies = parseSlugList(args[++i]);
+        } else if (arg === '--range') {
+            config.range = parseIdRange(args[++i]);
+        } else if (arg === '--free-only') {
+            config.freeOnly = true;
+        } else if (arg === '--dry-run') {
+            config.dryRun = true;
         }
     }
 
@@ -104,7 +119,7 @@ async function validateExportConfig(config) {
         throw new Error(`Source directory not found: ${sourceDir}. Please check the path or run download first.`);
     }
 
-    const validFormats = ['html', 'md', 'raw'];
+    const validFormats = ['html', 'md', 'raw', 'html-bundle'];
     if (!validFormats.includes(config.format)) {
         throw new Error(`Invalid format: ${config.format}. Valid formats: ${validFormats.join(', ')}`);
     }
@@ -112,16 +127,20 @@ async function validateExportConfig(config) {
     if (config.languages) {
         const invalidLangs = config.languages.filter(lang => !LANGUAGE_EXT_MAP[lang]);
         if (invalidLangs.length > 0) {
-            console.log(`\n\x1b[33m⚠\x1b[0m  Invalid language(s): ${invalidLangs.join(', ')}`);
-            console.log('\x1b[2m  Available languages:\x1b[0m');
+            log.warn(`\n\x1b[33m⚠\x1b[0m  Invalid language(s): ${invalidLangs.join(', ')}`);
+            log.warn('\x1b[2m  Available languages:\x1b[0m');
             const langs = Object.keys(LANGUAGE_EXT_MAP).sort();
             for (let i = 0; i < langs.length; i += 5) {
-                console.log('    ' + langs.slice(i, i + 5).join(', '));
+                log.warn('    ' + langs.slice(i, i + 5).join(', '));
             }
             throw new Error('Invalid language codes provided');
         }
     }
 
+    if (config.dryRun) {
+        return;
+    }
+
     try {
         await fs.ensureDir(config.output);
     } catch (error) {
@@ -129,57 +148,134 @@ async function validateExportConfig(config) {
     }
 }
 
-async function scanDownloads(sourceDir = 'data/downloads') {
-    const downloadsPath = path.join(workDir, sourceDir);
-    const categories = await fs.readdir(downloadsPath);
-    const problems = [];
-
-    for (const category of categories) {
-        const categoryPath = path.join(downloadsPath, category);
-        const stat = await fs.stat(categoryPath);
+// The folders above the problem folder. A layout without any ({id:04}-{slug}) falls back to
+// the first tag, like the default {tag} layout
+function getCategory(parentDir, tags) {
+    if (parentDir && parentDir !== '.') {
+        return parentDir;
+    }
+    return tags && tags.length > 0 ? tags[0] : 'uncategorized';
+}
 
-        if (!stat.isDirectory() || category.startsWith('.')) {
-            continue;
-        }
+async function scanIndexedDownloads(downloadsPath, index) {
+    const problems = [];
 
-        const problemDirs = await fs.readdir(categoryPath);
+    for (const entry of Object.values(index.problems)) {
+        const problemPath = path.join(downloadsPath, entry.path);
+        if (!await fs.pathExists(problemPath)) continue;
+
+        const metadata = await readMetadata(problemPath);
+        problems.push({
+            id: entry.id,
+            difficulty: entry.difficulty,
+            slug: entry.slug,
+            name: entry.name,
+            category: getCategory(path.dirname(entry.path), entry.tags),
+            path: problemPath,
+            folder: path.basename(entry.path),
+            availableLanguages: entry.languages.filter(lang => LANGUAGE_EXT_MAP[lang]),
+            tags: entry.tags,
+            companies: metadata ? (metadata.companies || []).map(c => c.slug) : [],
+            locked: metadata ? Boolean(metadata.paidOnly) : false,
+            metadata
+        });
+    }
 
-        for (const problemDir of problemDirs) {
-            const match = problemDir.match(/^(\d+)_(\w+)_(.+)$/);
-            if (!match) continue;
+    return problems;
+}
 
-            const [, id, difficulty, slug] = match;
-            const problemPath = path.join(categoryPath, problemDir);
+async function scanDownloads(sourceDir = 'data/downloads') {
+    const downloadsPath = path.join(workDir, sourceDir);
+    const index = await loadIndex(downloadsPath);
+    if (index) {
+        return scanIndexedDownloads(downloadsPath, index);
+    }
 
-            const templatesPath = path.join(problemPath, 'templates');
-            let availableLanguages = [];
+    const { layout } = await loadDatasetConfig(downloadsPath);
+    const problemPaths = await findProblemFolders(downloadsPath, layout);
+    const problems = [];
 
-            if (await fs.pathExists(templatesPath)) {
-                const files = await fs.readdir(templatesPath);
-                availableLanguages = files
-                    .filter(f => f.startsWith('solution.'))
-                    .map(f => {
-                        const ext = f.replace('solution.', '');
-                        return Object.keys(LANGUAGE_EXT_MAP).find(lang => LANGUAGE_EXT_MAP[lang] === ext);
-                    })
-                    .filter(Boolean);
-            }
+    for (const problemPath of problemPaths) {
+        const parentDir = path.relative(downloadsPath, path.dirname(problemPath));
+        const problemDir = path.basename(problemPath);
+        const metadata = await readMetadata(problemPath);
+        const match = problemDir.match(/^(\d+)_(\w+)_(.+)$/);
+        if (!metadata && !match) continue;
 
+        if (metadata) {
+            const tags = (metadata.tags || []).map(t => t.slug);
             problems.push({
-                id,
-                difficulty,
-                slug,
-                category,
+                id: metadata.id,
+                difficulty: metadata.difficulty,
+                slug: metadata.slug,
+                name: metadata.name,
+                category: getCategory(parentDir, tags),
                 path: problemPath,
                 folder: problemDir,
-                availableLanguages
+                availableLanguages: (metadata.languages || []).filter(lang => LANGUAGE_EXT_MAP[lang]),
+                tags,
+                companies: (metadata.companies || []).map(c => c.slug),
+                locked: Boolean(metadata.paidOnly),
+                metadata
             });
+            continue;
         }
+
+        const [, id, difficulty, slug] = match;
+        const category = getCategory(parentDir, []);
+
+        const templatesPath = path.join(problemPath, 'templates');
+        let availableLanguages = [];
+
+        if (await fs.pathExists(templatesPath)) {
+            const files = await fs.readdir(templatesPath);
+            availableLanguages = files
+                .filter(f => f.startsWith('solution.'))
+                .map(f => {
+                    const ext = f.replace('solution.', '');
+                    return Object.keys(LANGUAGE_EXT_MAP).find(lang => LANGUAGE_EXT_MAP[lang] === ext);
+                })
+                .filter(Boolean);
+        }
+
+        problems.push({
+            id,
+            difficulty,
+            slug,
+            category,
+            path: problemPath,
+            folder: problemDir,
+            availableLanguages,
+            tags: [category],
+            companies: [],
+            locked: false,
+            metadata: null
+        });
     }
 
     return problems;
 }
 
+async function getDirectoryStats(dirPath) {
+    const stats = { files: 0, bytes: 0 };
+    const entries = await fs.readdir(dirPath);
+
+    for (const entry of entries) {
+        const entryPath = path.join(dirPath, entry);
+        const stat = await fs.stat(entryPath);
+        if (stat.isDirectory()) {
+            const subStats = await getDirectoryStats(entryPath);
+            stats.files += subStats.files;
+            stats.bytes += subStats.bytes;
+        } else {
+            stats.files++;
+            stats.bytes += stat.size;
+        }
+    }
+
+    return stats;
+}
+
 async function exportProblem(problem, config, destFolder) {
     const stats = {
         files: 0,
@@ -187,30 +283,38 @@ async function exportProblem(problem, config, destFolder) {
     };
 
     const destPath = path.join(destFolder, problem.category, problem.folder);
-    await fs.ensureDir(destPath);
+    // fs.copy creates missing parent folders, so a dry run only has to skip the copies
+    const copy = (src, dest) => config.dryRun ? Promise.resolve() : fs.copy(src, dest);
 
     const formatMap = {
         'html': 'problem.html',
         'md': 'problem.md',
-        'raw': 'problem.raw.txt'
+        'raw': 'problem.raw.txt',
+        'html-bundle': 'problem.bundle.html'
     };
 
     const descFile = formatMap[config.format];
     const descSrc = path.join(problem.path, 'description', descFile);
 
     if (await fs.pathExists(descSrc)) {
-        const descDest = path.join(destPath, 'description', descFile);
-        await fs.ensureDir(path.dirname(descDest));
-        await fs.copy(descSrc, descDest);
+        await copy(descSrc, path.join(destPath, 'description', descFile));
         const stat = await fs.stat(descSrc);
         stats.files++;
         stats.bytes += stat.size;
     }
 
+    if (problem.metadata) {
+        const metadataSrc = path.join(problem.path, METADATA_FILE);
+        await copy(metadataSrc, path.join(destPath, METADATA_FILE));
+        const stat = await fs.stat(metadataSrc);
+        stats.files++;
+        stats.bytes += stat.size;
+    }
+
     const descImagesPath = path.join(problem.path, 'description', 'images');
     if (await fs.pathExists(descImagesPath)) {
         const descImagesDest = path.join(destPath, 'description', 'images');
-        await fs.copy(descImagesPath, descImagesDest);
+        await copy(descImagesPath, descImagesDest);
         const files = await fs.readdir(descImagesPath);
         for (const file of files) {
             const stat = await fs.stat(path.join(descImagesPath, file));
@@ -230,9 +334,7 @@ async function exportProblem(problem, config, destFolder) {
         const templateSrc = path.join(problem.path, 'templates', `solution.${ext}`);
 
         if (await fs.pathExists(templateSrc)) {
-            const templateDest = path.join(destPath, 'templates', `solution.${ext}`);
-            await fs.ensureDir(path.dirname(templateDest));
-            await fs.copy(templateSrc, templateDest);
+            await copy(templateSrc, path.join(destPath, 'templates', `solution.${ext}`));
             const stat = await fs.stat(templateSrc);
             stats.files++;
             stats.bytes += stat.size;
@@ -241,23 +343,20 @@ async function exportProblem(problem, config, destFolder) {
         const communitySrc = path.join(problem.path, 'solutions', 'community', lang);
         if (await fs.pathExists(communitySrc)) {
             const communityDest = path.join(destPath, 'solutions', 'community', lang);
-            await fs.copy(communitySrc, communityDest);
+            await copy(communitySrc, communityDest);
 
-            const solutionFile = path.join(communitySrc, 'solution.md');
-            if (await fs.pathExists(solutionFile)) {
-                const stat = await fs.stat(solutionFile);
+            const solutionFiles = (await fs.readdir(communitySrc)).filter(f => f.endsWith('.md'));
+            for (const file of solutionFiles) {
+                const stat = await fs.stat(path.join(communitySrc, file));
                 stats.files++;
                 stats.bytes += stat.size;
             }
 
             const imagesPath = path.join(communitySrc, 'images');
             if (await fs.pathExists(imagesPath)) {
-                const files = await fs.readdir(imagesPath);
-                for (const file of files) {
-                    const stat = await fs.stat(path.join(imagesPath, file));
-                    stats.files++;
-                    stats.bytes += stat.size;
-                }
+                const imageStats = await getDirectoryStats(imagesPath);
+                stats.files += imageStats.files;
+                stats.bytes += imageStats.bytes;
             }
         }
     }
@@ -266,7 +365,7 @@ async function exportProblem(problem, config, destFolder) {
         const officialSrc = path.join(problem.path, 'solutions', 'official');
         if (await fs.pathExists(officialSrc)) {
             const officialDest = path.join(destPath, 'solutions', 'official');
-            await fs.copy(officialSrc, officialDest);
+            await copy(officialSrc, officialDest);
 
             const solutionFile = path.join(officialSrc, 'solution.md');
             if (await fs.pathExists(solutionFile)) {
@@ -287,6 +386,13 @@ async function exportProblem(problem, config, destFolder) {
         }
     }
 
+    // Files that reference the dataset's image store get the images they use copied along
+    if (config.imageStoreSource && !config.dryRun) {
+        const storeStats = await copyStoreReferences(problem.path, destPath, config.imageStoreSource, destFolder);
+        stats.files += storeStats.files;
+        stats.bytes += storeStats.bytes;
+    }
+
     return stats;
 }
 
@@ -299,55 +405,65 @@ function formatBytes(bytes) {
 }
 
 function displayExportSummary(stats, config) {
-    console.log('\n\x1b[1mExport Summary\x1b[0m');
-    console.log(`\x1b[2m  Total problems:\x1b[0m ${stats.totalProblems}`);
-    console.log(`\x1b[2m  Total files:\x1b[0m ${stats.totalFiles}`);
-    console.log(`\x1b[2m  Total size:\x1b[0m ${formatBytes(stats.totalBytes)}`);
-    console.log(`\x1b[2m  Exported to:\x1b[0m ${path.resolve(config.output)}\n`);
+    log.info(`\n\x1b[1m${config.dryRun ? 'Dry Run Summary' : 'Export Summary'}\x1b[0m`);
+    log.info(`\x1b[2m  Total problems:\x1b[0m ${stats.totalProblems}`);
+    log.info(`\x1b[2m  Total files:\x1b[0m ${stats.totalFiles}`);
+    log.info(`\x1b[2m  Total size:\x1b[0m ${formatBytes(stats.totalBytes)}`);
+    log.info(`\x1b[2m  ${config.dryRun ? 'Would export to' : 'Exported to'}:\x1b[0m ${path.resolve(config.output)}\n`);
 
     if (Object.keys(stats.categories).length > 0) {
-        console.log('\x1b[2m  Categories:\x1b[0m');
+        log.info('\x1b[2m  Categories:\x1b[0m');
         const categories = Object.entries(stats.categories).sort((a, b) => b[1] - a[1]);
         for (const [category, count] of categories.slice(0, 10)) {
-            console.log(`    ${category}: ${count}`);
+            log.info(`    ${category}: ${count}`);
         }
         if (categories.length > 10) {
-            console.log(`    ... and ${categories.length - 10} more`);
+            log.info(`    ... and ${categories.length - 10} more`);
         }
     }
-    console.log('');
+    log.info('');
 }
 
 async function main(startIndex = 2, customArgs = null) {
-    const config = parseExportArgs(startIndex, customArgs);
+    let config;
 
     try {
+        config = parseExportArgs(startIndex, customArgs);
         await validateExportConfig(config);
     } catch (error) {
-        console.log(`\n\x1b[31m✗\x1b[0m ${error.message}\n`);
+        log.error(`\n\x1b[31m✗\x1b[0m ${error.message}\n`);
         process.exit(1);
     }
 
     const sourceDir = config.sourceDir || 'data/downloads';
+    const storePath = path.join(workDir, sourceDir, IMAGE_STORE_DIR);
+    config.imageStoreSource = await fs.pathExists(storePath) ? path.dirname(storePath) : null;
+
+    log.info('\n\x1b[1mExport Configuration\x1b[0m');
+    log.info(`\x1b[2m  Source:\x1b[0m ${path.resolve(sourceDir)}`);
+    log.info(`\x1b[2m  Output:\x1b[0m ${path.resolve(config.output)}`);
+    log.info(`\x1b[2m  Languages:\x1b[0m ${config.languages ? config.languages.join(', ') : 'all'}`);
+    log.info(`\x1b[2m  Format:\x1b[0m ${config.format}`);
+    log.info(`\x1b[2m  Official solutions:\x1b[0m ${config.includeOfficial ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
+    if (hasProblemFilters(config)) {
+        log.info(`\x1b[2m  Filters:\x1b[0m ${describeProblemFilters(config)}`);
+    }
+    log.info('');
 
-    console.log('\n\x1b[1mExport Configuration\x1b[0m');
-    console.log(`\x1b[2m  Source:\x1b[0m ${path.resolve(sourceDir)}`);
-    console.log(`\x1b[2m  Output:\x1b[0m ${path.resolve(config.output)}`);
-    console.log(`\x1b[2m  Languages:\x1b[0m ${config.languages ? config.languages.join(', ') : 'all'}`);
-    console.log(`\x1b[2m  Format:\x1b[0m ${config.format}`);
-    console.log(`\x1b[2m  Official solutions:\x1b[0m ${config.includeOfficial ? '\x1b[32mYes\x1b[0m' : '\x1b[2mNo\x1b[0m'}`);
-    console.log('');
-
-    console.log('Scanning source directory...');
-    const problems = await scanDownloads(sourceDir);
+    log.info('Scanning source directory...');
+    const problems = applyProblemFilters(await scanDownloads(sourceDir), config);
 
     if (problems.length === 0) {
-        console.log('\n\x1b[33m⚠\x1b[0m  No problems found in downloads folder\n');
+        if (hasProblemFilters(config)) {
+            log.warn('\n\x1b[33m⚠\x1b[0m  No problems match the filters\n');
+        } else {
+            log.warn('\n\x1b[33m⚠\x1b[0m  No problems found in downloads folder\n');
+        }
         return;
     }
 
-    console.log(`Found ${problems.length} problems\n`);
-    console.log('Exporting...');
+    log.info(`Found ${problems.length} problems\n`);
+    log.info(config.dryRun ? '\x1b[1mExport Plan\x1b[0m \x1b[2m(dry run, nothing is copied)\x1b[0m' : 'Exporting...');
 
     const stats = {
         totalProblems: 0,
@@ -367,16 +483,36 @@ async function main(startIndex = 2, customArgs = null) {
             stats.totalBytes += problemStats.bytes;
             stats.categories[problem.category] = (stats.categories[problem.category] || 0) + 1;
 
-            if ((i + 1) % 100 === 0) {
-                process.stdout.write(`\r\x1b[2m  Exported ${i + 1}/${problems.length} problems...\x1b[0m`);
+            emit('problem-completed', {
+                id: problem.id,
+                slug: problem.slug,
+                path: path.join(config.output, problem.category, problem.folder),
+                files: problemStats.files,
+                bytes: problemStats.bytes
+            });
+
+            if (config.dryRun) {
+                const destPath = path.join(config.output, problem.category, problem.folder);
+                log.info(`  ${destPath}  \x1b[2m${problemStats.files} files, ${formatBytes(problemStats.bytes)}\x1b[0m`);
+            } else if ((i + 1) % 100 === 0) {
+                log.progress(`\x1b[2m  Exported ${i + 1}/${problems.length} problems...\x1b[0m`);
             }
         } catch (error) {
-            console.log(`\n\x1b[33m⚠\x1b[0m  Failed to export ${problem.folder}: ${error.message}`);
+            emit('problem-failed', { id: problem.id, slug: problem.slug, reasons: [error.message] });
+            log.warn(`\n\x1b[33m⚠\x1b[0m  Failed to export ${problem.folder}: ${error.message}`);
         }
     }
 
-    process.stdout.write('\r\x1b[K');
+    log.clearLine();
     displayExportSummary(stats, config);
+    emitSummary({
+        dryRun: config.dryRun,
+        problems: stats.totalProblems,
+        failed: problems.length - stats.totalProblems,
+        files: stats.totalFiles,
+        bytes: stats.totalBytes,
+        output: path.resolve(config.output)
+    });
 }
 
 if (require.main === module) {
@@ -385,8 +521,8 @@ if (require.main === module) {
             await main();
             process.exit(0);
         } catch (error) {
-            console.log(`\n\x1b[31m✗\x1b[0m Export error`);
-            console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            log.error(`\n\x1b[31m✗\x1b[0m Export error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
             process.exit(1);
         }
     })();
@@ -0,0 +1,63 @@
+/**
+ * @file failures.js
+ * @description Classify the failed map of .download-progress.json for --retry-failed
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const { parseSlugList } = require('./filters');
+
+// Each kind matches the reason prefixes download writes for a failed problem
+const FAILURE_KINDS = {
+    description: ['Description download failed'],
+    templates: ['Templates incomplete'],
+    official: ['Official solution incomplete'],
+    community: ['Community solutions incomplete'],
+    mine: ['My submissions incomplete'],
+    exception: ['Exception:'],
+    interrupted: ['Interrupted']
+};
+
+function parseFailureKinds(value) {
+    const kinds = parseSlugList(value);
+    const invalid = kinds.filter(kind => !FAILURE_KINDS[kind]);
+    if (kinds.length === 0 || invalid.length > 0) {
+        throw new Error(`Invalid --reason value: ${value}. Valid reasons: ${Object.keys(FAILURE_KINDS).join(', ')}`);
+    }
+    return kinds;
+}
+
+function getFailureKinds(entry) {
+    const reasons = (entry && entry.reasons) || [];
+    return Object.keys(FAILURE_KINDS).filter(kind =>
+        reasons.some(reason => FAILURE_KINDS[kind].some(prefix => reason.startsWith(prefix)))
+    );
+}
+
+function selectFailures(failed, kinds = null) {
+    return Object.keys(failed).filter(id => !kinds || getFailureKinds(failed[id]).some(kind => kinds.includes(kind)));
+}
+
+function countFailures(failed, ids) {
+    const counts = { total: 0 };
+    for (const kind of Object.keys(FAILURE_KINDS)) {
+        counts[kind] = 0;
+    }
+
+    for (const id of ids) {
+        if (!failed[id]) continue;
+        counts.total++;
+        for (const kind of getFailureKinds(failed[id])) {
+            counts[kind]++;
+        }
+    }
+    return counts;
+}
+
+module.exports = {
+    FAILURE_KINDS,
+    parseFailureKinds,
+    getFailureKinds,
+    selectFailures,
+    countFailures
+};
@@ -0,0 +1,106 @@
+/**
+ * @file filters.js
+ * @description Problem filter parsing and matching shared by download, export and stats
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+function parseDifficulties(value) {
+    const difficulties = parseSlugList(value).map(d => {
+        const difficulty = DIFFICULTIES.find(name => name.toLowerCase() === d);
+        if (!difficulty) {
+            throw new Error(`Invalid difficulty: ${d}. Valid difficulties: easy, medium, hard`);
+        }
+        return difficulty;
+    });
+    return difficulties.length > 0 ? difficulties : null;
+}
+
+function parseSlugList(value) {
+    if (!value) return [];
+    return value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function parseIdRange(value) {
+    const match = (value || '').trim().match(/^(\d*)-(\d*)$/);
+    if (!match || (!match[1] && !match[2])) {
+        if (/^\d+$/.test((value || '').trim())) {
+            const id = parseInt(value, 10);
+            return { from: id, to: id };
+        }
+        throw new Error(`Invalid range: ${value}. Expected format: 1-500`);
+    }
+
+    const range = {
+        from: match[1] ? parseInt(match[1], 10) : 1,
+        to: match[2] ? parseInt(match[2], 10) : Infinity
+    };
+    if (range.from > range.to) {
+        throw new Error(`Invalid range: ${value}. Start must not be greater than end`);
+    }
+    return range;
+}
+
+function parseDuration(value, optionName) {
+    const match = (value || '').trim().match(/^(\d+)\s*([hdw])$/i);
+    if (!match) {
+        throw new Error(`Invalid ${optionName} value: ${value}. Expected a number with unit h, d or w (e.g. 30d)`);
+    }
+
+    const hours = { h: 1, d: 24, w: 24 * 7 }[match[2].toLowerCase()];
+    return parseInt(match[1], 10) * hours * 60 * 60 * 1000;
+}
+
+function hasProblemFilters(config) {
+    return Boolean(config.difficulties || config.tags || config.companies || config.range || config.freeOnly);
+}
+
+function describeProblemFilters(config) {
+    const parts = [];
+    if (config.difficulties) parts.push(`difficulty=${config.difficulties.join(',')}`);
+    if (config.tags) parts.push(`tags=${config.tags.join(',')}`);
+    if (config.companies) parts.push(`companies=${config.companies.join(',')}`);
+    if (config.range) {
+        const to = config.range.to === Infinity ? '' : config.range.to;
+        parts.push(`range=${config.range.from}-${to}`);
+    }
+    if (config.freeOnly) parts.push('free-only');
+    return parts.join(', ');
+}
+
+function applyProblemFilters(problems, config) {
+    return problems.filter(problem => {
+        if (config.difficulties && !config.difficulties.includes(problem.difficulty)) {
+            return false;
+        }
+        if (config.tags && !problem.tags.some(t => config.tags.includes(t))) {
+            return false;
+        }
+        if (config.companies && !problem.companies.some(c => config.companies.includes(c))) {
+            return false;
+        }
+        if (config.range) {
+            const id = parseInt(problem.id, 10);
+            if (isNaN(id) || id < config.range.from || id > config.range.to) {
+                return false;
+            }
+        }
+        if (config.freeOnly && problem.locked) {
+            return false;
+        }
+        return true;
+    });
+}
+
+module.exports = {
+    DIFFICULTIES,
+    parseDifficulties,
+    parseSlugList,
+    parseIdRange,
+    parseDuration,
+    hasProblemFilters,
+    describeProblemFilters,
+    applyProblemFilters
+};
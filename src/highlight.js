@@ -0,0 +1,171 @@
+/**
+ * @file highlight.js
+ * @description Small regex-based syntax highlighter that marks up code as static HTML, so pages need no scripts or network
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while bool true false NULL';
+
+const KEYWORDS = {
+    c: C_KEYWORDS,
+    cpp: `${C_KEYWORDS} class public private protected virtual override template typename namespace using new delete this nullptr try catch throw operator friend explicit mutable constexpr noexcept final static_cast const_cast dynamic_cast reinterpret_cast`,
+    java: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for goto if implements import instanceof int interface long native new package private protected public return short static strictfp super switch synchronized this throw throws transient try var void volatile while true false null record',
+    csharp: 'abstract as base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern false finally fixed float for foreach goto if implicit in int interface internal is lock long namespace new null object operator out override params private protected public readonly ref return sbyte sealed short sizeof stackalloc static string struct switch this throw true try typeof uint ulong unchecked unsafe ushort using var virtual void volatile while',
+    javascript: 'async await break case catch class const continue debugger default delete do else export extends false finally for function if import in instanceof let new null of return super switch this throw true try typeof undefined var void while with yield',
+    typescript: 'abstract any as async await boolean break case catch class const constructor continue declare default delete do else enum export extends false finally for from function if implements import in instanceof interface keyof let module namespace never new null number of private protected public readonly return string super switch this throw true try type typeof undefined unknown var void while yield',
+    golang: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var true false nil iota',
+    kotlin: 'as break class continue do else false for fun if in interface is null object package return super this throw true try typealias val var when while by companion constructor data init internal lateinit open override private protected public sealed',
+    swift: 'associatedtype class deinit enum extension fileprivate func import init inout internal let open operator private protocol public rethrows static struct subscript typealias var break case continue default defer do else fallthrough for guard if in repeat return switch where while as catch false is nil self Self super throw throws true try mutating',
+    rust: 'as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+    scala: 'abstract case catch class def do else extends false final finally for forSome if implicit import lazy match new null object override package private protected return sealed super this throw trait try true type val var while with yield',
+    dart: 'abstract as assert async await break case catch class const continue covariant default deferred do dynamic else enum export extends extension external factory false final finally for get if implements import in interface is late library mixin new null on operator part required rethrow return set static super switch this throw true try typedef var void while with yield',
+    php: 'abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty enddeclare endfor endforeach endif endswitch endwhile extends final finally fn for foreach function global goto if implements include instanceof insteadof interface isset list namespace new null or print private protected public readonly require return static switch throw trait true false try unset use var while xor yield',
+    python: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield self',
+    ruby: 'BEGIN END alias and begin break case class def defined? do else elsif end ensure false for if in module next nil not or redo rescue retry return self super then true undef unless until when while yield',
+    elixir: 'after and catch cond def defmodule defp do else end false fn for if import in nil not or quote raise receive rescue true try unless unquote use when with',
+    erlang: 'after and andalso band begin bnot bor bsl bsr bxor case catch cond div end fun if let not of or orelse receive rem try when xor',
+    racket: 'define lambda let let* letrec if cond else when unless begin set! define-values for for/list for/fold and or not null empty cons car cdr list quote require provide struct match',
+    sql: 'select from where and or not in is null like between join left right inner outer full cross on as group by order having limit offset union all distinct insert into values update set delete create table drop alter add primary key foreign references index view case when then else end exists with asc desc count sum avg min max coalesce ifnull cast over partition row_number rank dense_rank lag lead top',
+    bash: 'if then else elif fi case esac for while until do done in function return break continue local export readonly declare echo exit shift read true false'
+};
+
+const C_FAMILY = { lineComments: ['//'], blockComments: [['/*', '*/']], quotes: ['"', "'"] };
+
+const LANGUAGES = {
+    c: C_FAMILY,
+    cpp: C_FAMILY,
+    java: { ...C_FAMILY, quotes: ['"""', '"', "'"] },
+    csharp: C_FAMILY,
+    javascript: { ...C_FAMILY, quotes: ['"', "'", '`'] },
+    typescript: { ...C_FAMILY, quotes: ['"', "'", '`'] },
+    golang: { ...C_FAMILY, quotes: ['"', "'", '`'] },
+    kotlin: { ...C_FAMILY, quotes: ['"""', '"', "'"] },
+    swift: { ...C_FAMILY, quotes: ['"""', '"'] },
+    rust: { ...C_FAMILY, quotes: ['"'], charLiterals: true },
+    scala: { ...C_FAMILY, quotes: ['"""', '"', "'"] },
+    dart: { ...C_FAMILY, quotes: ["'''", '"""', '"', "'"] },
+    php: { ...C_FAMILY, lineComments: ['//', '#'] },
+    python: { lineComments: ['#'], blockComments: [], quotes: ['"""', "'''", '"', "'"] },
+    ruby: { lineComments: ['#'], blockComments: [], quotes: ['"', "'"], identifier: '[A-Za-z_$][\\w$]*[?!]?' },
+    elixir: { lineComments: ['#'], blockComments: [], quotes: ['"""', '"', "'"] },
+    erlang: { lineComments: ['%'], blockComments: [], quotes: ['"', "'"] },
+    racket: { lineComments: [';'], blockComments: [['#|', '|#']], quotes: ['"'], identifier: '[A-Za-z_][\\w!?*<>=/+-]*' },
+    sql: { lineComments: ['--'], blockComments: [['/*', '*/']], quotes: ["'", '"', '`'], caseInsensitive: true },
+    bash: { lineComments: ['#'], blockComments: [], quotes: ['"', "'"] }
+};
+
+// LeetCode language slugs and common fence names
+const ALIASES = {
+    'c++': 'cpp', cc: 'cpp', h: 'c', hpp: 'cpp',
+    python3: 'python', py: 'python', pythondata: 'python', pandas: 'python',
+    js: 'javascript', ts: 'typescript', go: 'golang', kt: 'kotlin', rs: 'rust', rb: 'ruby',
+    cs: 'csharp', 'c#': 'csharp', ex: 'elixir', erl: 'erlang', rkt: 'racket',
+    mysql: 'sql', mssql: 'sql', postgresql: 'sql', oraclesql: 'sql', sh: 'bash', shell: 'bash'
+};
+
+const compiled = new Map();
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function resolveLanguage(language) {
+    const name = String(language || '').toLowerCase();
+    const resolved = ALIASES[name] || name;
+    return LANGUAGES[resolved] ? resolved : null;
+}
+
+function quotePattern(quote) {
+    const q = escapeRegex(quote);
+    if (quote.length === 3) {
+        return `${q}[\\s\\S]*?(?:${q}|$)`;
+    }
+    // Backtick strings may span lines; the others stop at the end of the line
+    const newline = quote === '`' ? '' : '\\n';
+    return `${q}(?:\\\\[\\s\\S]|[^${q}\\\\${newline}])*${q}?`;
+}
+
+function compileLanguage(name) {
+    if (compiled.has(name)) {
+        return compiled.get(name);
+    }
+
+    const spec = LANGUAGES[name];
+    const comments = [
+        ...spec.blockComments.map(([open, close]) => `${escapeRegex(open)}[\\s\\S]*?(?:${escapeRegex(close)}|$)`),
+        ...spec.lineComments.map(marker => `${escapeRegex(marker)}.*`)
+    ];
+    const strings = spec.quotes.map(quotePattern);
+    if (spec.charLiterals) {
+        strings.push("'(?:\\\\.|[^'\\\\\\n])'");
+    }
+
+    const pattern = new RegExp([
+        `(${comments.join('|') || '(?!)'})`,
+        `(${strings.join('|')})`,
+        '(\\b(?:0[xXbBoO][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)[a-zA-Z]*\\b)',
+        `(${spec.identifier || '[A-Za-z_$][\\w$]*'})`
+    ].join('|'), 'g');
+
+    const keywordList = KEYWORDS[name].split(' ');
+    const keywords = new Set(spec.caseInsensitive ? keywordList.map(k => k.toLowerCase()) : keywordList);
+    const language = { pattern, keywords, caseInsensitive: Boolean(spec.caseInsensitive) };
+    compiled.set(name, language);
+    return language;
+}
+
+function span(kind, text) {
+    return `<span class="tok-${kind}">${escapeHtml(text)}</span>`;
+}
+
+// Returns escaped HTML; unknown languages are escaped without markup
+function highlightCode(code, language) {
+    const name = resolveLanguage(language);
+    if (!name) {
+        return escapeHtml(code);
+    }
+
+    const { pattern, keywords, caseInsensitive } = compileLanguage(name);
+    let output = '';
+    let position = 0;
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(code)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+
+        const [token, comment, string, number, identifier] = match;
+
+        output += escapeHtml(code.slice(position, match.index));
+        if (comment) {
+            output += span('comment', token);
+        } else if (string) {
+            output += span('string', token);
+        } else if (number) {
+            output += span('number', token);
+        } else if (keywords.has(caseInsensitive ? identifier.toLowerCase() : identifier)) {
+            output += span('keyword', token);
+        } else if (code[match.index + token.length] === '(') {
+            output += span('function', token);
+        } else {
+            output += escapeHtml(token);
+        }
+        position = match.index + token.length;
+    }
+
+    return output + escapeHtml(code.slice(position));
+}
+
+module.exports = {
+    escapeHtml,
+    resolveLanguage,
+    highlightCode
+};
@@ -0,0 +1,292 @@
+/**
+ * @file html-bundle.js
+ * @description Self-contained problem.bundle.html: description, code templates and solutions in one page with inlined images
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { escapeHtml, highlightCode } = require('./highlight');
+const { renderMarkdown } = require('./markdown-html');
+const { LANGUAGE_EXT_MAP } = require('./languages');
+
+const BUNDLE_FILE = 'problem.bundle.html';
+
+const IMAGE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp'
+};
+
+function escapeAttribute(text) {
+    return escapeHtml(String(text)).replace(/"/g, '&quot;');
+}
+
+// Local images become data: URIs; remote ones (images that failed to download) stay as they are
+async function inlineImages(html, baseDir) {
+    const pattern = /(<img\b[^>]*?\bsrc=)(["'])(.*?)\2/gi;
+    const sources = new Map();
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        const src = match[3];
+        if (sources.has(src) || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) continue;
+
+        const filePath = path.resolve(baseDir, decodeURI(src.split(/[?#]/)[0]));
+        try {
+            const data = await fs.readFile(filePath);
+            const mime = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            sources.set(src, `data:${mime};base64,${data.toString('base64')}`);
+        } catch (error) {
+            // Missing file: keep the reference
+        }
+    }
+
+    return html.replace(pattern, (tag, prefix, quote, src) => sources.has(src) ? `${prefix}${quote}${sources.get(src)}${quote}` : tag);
+}
+
+async function listFiles(dirPath) {
+    try {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        return entries.filter(entry => entry.isFile()).map(entry => entry.name).sort();
+    } catch (error) {
+        return [];
+    }
+}
+
+async function listDirs(dirPath) {
+    try {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+        return [];
+    }
+}
+
+function sortLanguages(languages) {
+    const order = Object.keys(LANGUAGE_EXT_MAP);
+    const rank = lang => (order.includes(lang) ? order.indexOf(lang) : order.length);
+    return [...languages].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+async function collectTemplates(problemPath) {
+    const templates = [];
+    for (const [lang, ext] of Object.entries(LANGUAGE_EXT_MAP)) {
+        const filePath = path.join(problemPath, 'templates', `solution.${ext}`);
+        if (await fs.pathExists(filePath)) {
+            templates.push({ label: lang, html: renderCode(await fs.readFile(filePath, 'utf8'), lang) });
+        }
+    }
+    return templates;
+}
+
+async function renderMarkdownFile(filePath) {
+    const markdown = await fs.readFile(filePath, 'utf8');
+    return inlineImages(renderMarkdown(markdown), path.dirname(filePath));
+}
+
+async function collectOfficial(problemPath) {
+    const filePath = path.join(problemPath, 'solutions', 'official', 'solution.md');
+    if (!await fs.pathExists(filePath)) return null;
+    return renderMarkdownFile(filePath);
+}
+
+async function collectCommunity(problemPath) {
+    const communityDir = path.join(problemPath, 'solutions', 'community');
+    const groups = [];
+
+    for (const lang of sortLanguages(await listDirs(communityDir))) {
+        const posts = (await listFiles(path.join(communityDir, lang))).filter(file => /^\d+-.*\.md$/.test(file));
+        if (posts.length === 0) continue;
+
+        const articles = [];
+        for (const post of posts) {
+            articles.push(`<article class="post">\n${await renderMarkdownFile(path.join(communityDir, lang, post))}\n</article>`);
+        }
+        groups.push({ label: lang, html: articles.join('\n') });
+    }
+    return groups;
+}
+
+function renderCode(code, language) {
+    return `<pre><code class="language-${escapeAttribute(language)}">${highlightCode(code, language)}</code></pre>`;
+}
+
+// Radio-button tabs work without scripts, which mail clients and file viewers often block
+function renderTabs(group, tabs) {
+    if (tabs.length === 0) return '';
+
+    const inputs = tabs.map((tab, i) => {
+        const id = `${group}-${i}`;
+        return `<input type="radio" name="${group}" id="${id}"${i === 0 ? ' checked' : ''}><label for="${id}">${escapeHtml(tab.label)}</label>`;
+    });
+    const panels = tabs.map(tab => `<div class="panel">\n${tab.html}\n</div>`);
+    return `<div class="tabs">\n${inputs.join('\n')}\n${panels.join('\n')}\n</div>`;
+}
+
+function renderTabRules(count) {
+    const rules = [];
+    for (let i = 1; i <= count; i++) {
+        rules.push(`.tabs > input:nth-of-type(${i}):checked ~ .panel:nth-of-type(${i})`);
+    }
+    return rules.length > 0 ? `${rules.join(',\n        ')} { display: block; }` : '';
+}
+
+function renderChips(items, withLinks) {
+    return items.map(item => withLinks && item.url
+        ? `<a class="chip" href="${escapeAttribute(item.url)}">${escapeHtml(item.name)}</a>`
+        : `<span class="chip">${escapeHtml(item.name)}</span>`).join(' ');
+}
+
+const LIGHT_THEME = `--bg: #ffffff; --fg: #24292f; --muted: #57606a; --border: #d0d7de; --surface: #f6f8fa;
+            --accent: #0969da; --easy: #1a7f37; --medium: #9a6700; --hard: #cf222e;
+            --tok-keyword: #cf222e; --tok-string: #0a3069; --tok-comment: #6e7781; --tok-number: #0550ae; --tok-function: #8250df;`;
+
+const DARK_THEME = `--bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --border: #30363d; --surface: #161b22;
+            --accent: #4493f8; --easy: #3fb950; --medium: #d29922; --hard: #f85149;
+            --tok-keyword: #ff7b72; --tok-string: #a5d6ff; --tok-comment: #8b949e; --tok-number: #79c0ff; --tok-function: #d2a8ff;`;
+
+// The theme follows the system setting; the toggle checkbox flips it, also without scripts
+function renderStyle(tabCount) {
+    return `
+        .theme {
+            ${LIGHT_THEME}
+        }
+        #theme-toggle:checked ~ .theme {
+            ${DARK_THEME}
+        }
+        @media (prefers-color-scheme: dark) {
+            .theme {
+                ${DARK_THEME}
+            }
+            #theme-toggle:checked ~ .theme {
+                ${LIGHT_THEME}
+            }
+        }
+        html, body { margin: 0; padding: 0; }
+        #theme-toggle { position: absolute; opacity: 0; pointer-events: none; }
+        .theme { background: var(--bg); color: var(--fg); min-height: 100vh; }
+        .page {
+            position: relative; max-width: 900px; margin: 0 auto; padding: 16px 20px 40px; line-height: 1.6;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+        }
+        a { color: var(--accent); }
+        h1 { font-size: 1.6em; border-bottom: 1px solid var(--border); padding-bottom: 10px; margin-right: 90px; }
+        h1 a { color: var(--fg); text-decoration: none; }
+        .theme-switch {
+            position: absolute; top: 24px; right: 20px; cursor: pointer; font-size: 0.85em; user-select: none;
+            border: 1px solid var(--border); border-radius: 16px; padding: 2px 10px; color: var(--muted);
+        }
+        .meta { display: flex; flex-wrap: wrap; gap: 8px 16px; color: var(--muted); font-size: 0.9em; }
+        .difficulty-easy { color: var(--easy); font-weight: 600; }
+        .difficulty-medium { color: var(--medium); font-weight: 600; }
+        .difficulty-hard { color: var(--hard); font-weight: 600; }
+        .chips { margin: 8px 0; }
+        .chip {
+            display: inline-block; margin: 2px 0; padding: 0 8px; border-radius: 10px; font-size: 0.8em;
+            background: var(--surface); border: 1px solid var(--border); color: var(--fg); text-decoration: none;
+        }
+        table { border-collapse: collapse; margin: 16px 0; display: block; overflow-x: auto; }
+        th, td { padding: 6px 12px; border: 1px solid var(--border); }
+        th { background: var(--surface); }
+        code { background: var(--surface); padding: 2px 6px; border-radius: 4px; font-family: 'SFMono-Regular', Menlo, Monaco, Consolas, monospace; font-size: 0.88em; }
+        pre { background: var(--surface); border: 1px solid var(--border); padding: 14px; border-radius: 6px; overflow-x: auto; line-height: 1.45; }
+        pre code { background: transparent; padding: 0; font-size: 0.85em; }
+        img { max-width: 100%; height: auto; }
+        blockquote { margin: 0; padding: 0 1em; color: var(--muted); border-left: 4px solid var(--border); }
+        hr { border: none; border-top: 1px solid var(--border); margin: 24px 0; }
+        iframe { max-width: 100%; border: 1px solid var(--border); }
+        .tok-keyword { color: var(--tok-keyword); }
+        .tok-string { color: var(--tok-string); }
+        .tok-comment { color: var(--tok-comment); font-style: italic; }
+        .tok-number { color: var(--tok-number); }
+        .tok-function { color: var(--tok-function); }
+        .tabs { display: flex; flex-wrap: wrap; margin-top: 16px; }
+        .tabs > input { position: absolute; opacity: 0; pointer-events: none; }
+        .tabs > label {
+            padding: 6px 14px; cursor: pointer; color: var(--muted); border-bottom: 2px solid var(--border);
+            font-weight: 600; font-size: 0.9em; white-space: nowrap;
+        }
+        .tabs > input:checked + label { color: var(--fg); border-bottom-color: var(--accent); }
+        .tabs > input:focus-visible + label { outline: 2px solid var(--accent); }
+        .tabs > .panel { display: none; width: 100%; }
+        ${renderTabRules(tabCount)}
+        .tabs .tabs > label { font-weight: normal; padding: 4px 10px; }
+        .post + .post { border-top: 1px solid var(--border); margin-top: 24px; }
+        .links a { margin-right: 20px; }
+        @media (max-width: 600px) {
+            .page { padding: 12px 12px 32px; }
+            h1 { font-size: 1.3em; }
+        }
+    `;
+}
+
+// problem is the page view built for the HTML and Markdown templates, with the
+// description body already processed (local image paths relative to description/)
+async function buildProblemBundle(problem, problemPath) {
+    const description = await inlineImages(problem.body, path.join(problemPath, 'description'));
+    const templates = await collectTemplates(problemPath);
+    const official = await collectOfficial(problemPath);
+    const community = await collectCommunity(problemPath);
+
+    const sections = [{ label: 'Description', html: `<div class="description">\n${description}\n</div>` }];
+    if (templates.length > 0) {
+        sections.push({ label: 'Code', html: renderTabs('code', templates) });
+    }
+    if (official) {
+        sections.push({ label: 'Official Solution', html: official });
+    }
+    if (community.length > 0) {
+        sections.push({ label: 'Community', html: renderTabs('community', community) });
+    }
+
+    const tabCount = Math.max(sections.length, templates.length, community.length);
+    const difficulty = String(problem.difficulty || '');
+    const stats = [
+        `<span class="difficulty-${escapeAttribute(difficulty.toLowerCase())}">${escapeHtml(difficulty)}</span>`,
+        `<span>${escapeHtml(problem.category || '')}</span>`,
+        `<span>${problem.likes} likes</span>`,
+        `<span>${problem.dislikes} dislikes</span>`
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="light dark">
+    <title>${escapeHtml(`${problem.id}. ${problem.name}`)}</title>
+    <style>${renderStyle(tabCount)}</style>
+</head>
+<body>
+<input type="checkbox" id="theme-toggle">
+<div class="theme">
+<div class="page">
+    <label class="theme-switch" for="theme-toggle" title="Switch between light and dark">◐ Theme</label>
+    <h1><a href="${escapeAttribute(problem.url)}">${escapeHtml(`${problem.id}. ${problem.name}`)}</a></h1>
+    <div class="meta">${stats.join('')}</div>
+    ${problem.tags.length > 0 ? `<div class="chips">${renderChips(problem.tags, true)}</div>` : ''}
+    ${problem.companies.length > 0 ? `<div class="chips">${renderChips(problem.companies, false)}</div>` : ''}
+    ${renderTabs('section', sections)}
+    <hr>
+    <div class="links">
+        <a href="${escapeAttribute(problem.submissionsUrl)}">Submissions</a>
+        <a href="${escapeAttribute(problem.solutionsUrl)}">Solutions</a>
+    </div>
+</div>
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    BUNDLE_FILE,
+    inlineImages,
+    buildProblemBundle
+};
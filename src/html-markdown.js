@@ -0,0 +1,474 @@
+/**
+ * @file html-markdown.js
+ * @description Small HTML parser and a Markdown (GFM) renderer for problem statements
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section',
+    'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Opening one of these closes an open <p>, as browsers do
+const CLOSES_PARAGRAPH = new Set([...BLOCK_TAGS].filter(tag => !['li', 'dd', 'dt', 'td', 'th', 'tr', 'tbody', 'thead', 'tfoot'].includes(tag)));
+
+// Tags that end an earlier sibling of the same kind, up to (not past) their container
+const IMPLIED_END = {
+    li: { closes: ['li'], scope: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+    dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+    tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], scope: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], scope: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], scope: ['table'] }
+};
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    le: '≤', ge: '≥', ne: '≠', times: '×', divide: '÷', minus: '−', plusmn: '±', sdot: '⋅', middot: '·',
+    asymp: '≈', equiv: '≡', infin: '∞', sum: '∑', prod: '∏', radic: '√', prime: '′', Prime: '″',
+    lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', lang: '⟨', rang: '⟩', isin: '∈', notin: '∉',
+    cap: '∩', cup: '∪', sub: '⊂', sup: '⊃', sube: '⊆', supe: '⊇', and: '∧', or: '∨', not: '¬',
+    forall: '∀', exist: '∃', empty: '∅', nabla: '∇', oplus: '⊕', otimes: '⊗', perp: '⊥', deg: '°',
+    sup1: '¹', sup2: '²', sup3: '³', frac12: '½', frac14: '¼', frac34: '¾',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', lArr: '⇐', rArr: '⇒', hArr: '⇔',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    laquo: '«', raquo: '»', bull: '•', copy: '©', reg: '®', trade: '™', sect: '§', para: '¶',
+    ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d',
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+    iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ',
+    sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z][A-Za-z0-9]*);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+    });
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const attrRegex = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = attrRegex.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+        attributes[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+function createElement(tag, attributes = {}, parent = null) {
+    return { type: 'element', tag, attributes, children: [], parent };
+}
+
+/**
+ * Parse HTML into a tree of { type: 'element', tag, attributes, children } and
+ * { type: 'text', text } nodes. Handles void elements, unclosed <p>/<li>/<td> and
+ * stray end tags the way browsers do for the markup LeetCode produces.
+ */
+function parseHtml(html) {
+    const root = createElement('#root');
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([A-Za-z][\w:-]*)\s*>|<([A-Za-z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+
+    const addText = (text) => {
+        if (!text) return;
+        const children = current().children;
+        const last = children[children.length - 1];
+        if (last && last.type === 'text') {
+            last.text += text;
+        } else {
+            children.push({ type: 'text', text });
+        }
+    };
+
+    const closeTo = (tag, scope = []) => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (stack[i].tag === tag) {
+                stack.length = i;
+                return true;
+            }
+            if (scope.includes(stack[i].tag)) return false;
+        }
+        return false;
+    };
+
+    let lastIndex = 0;
+    let match;
+    while ((match = tokenRegex.exec(html)) !== null) {
+        addText(decodeEntities(html.slice(lastIndex, match.index)));
+        lastIndex = tokenRegex.lastIndex;
+
+        const [token, cdata, endTag, startTag, attributeSource, selfClosing] = match;
+        if (cdata !== undefined) {
+            addText(cdata);
+        } else if (endTag) {
+            const tag = endTag.toLowerCase();
+            if (tag === 'br') {
+                current().children.push(createElement('br', {}, current()));
+            } else if (tag === 'p' && !closeTo('p', ['div', 'li', 'td', 'th', 'blockquote'])) {
+                // A stray </p> is an empty paragraph in browsers; it only separates blocks here
+                current().children.push(createElement('p', {}, current()));
+            } else {
+                closeTo(tag);
+            }
+        } else if (startTag) {
+            const tag = startTag.toLowerCase();
+            if (CLOSES_PARAGRAPH.has(tag)) {
+                closeTo('p', ['div', 'li', 'td', 'th', 'blockquote', 'ul', 'ol', 'table']);
+            }
+            if (IMPLIED_END[tag]) {
+                for (const closes of IMPLIED_END[tag].closes) {
+                    closeTo(closes, IMPLIED_END[tag].scope);
+                }
+            }
+
+            const element = createElement(tag, parseAttributes(attributeSource || ''), current());
+            current().children.push(element);
+
+            if (RAW_TEXT_TAGS.has(tag)) {
+                const end = html.toLowerCase().indexOf(`</${tag}`, lastIndex);
+                const stop = end === -1 ? html.length : end;
+                element.children.push({ type: 'text', text: html.slice(lastIndex, stop) });
+                tokenRegex.lastIndex = lastIndex = html.indexOf('>', stop) === -1 ? html.length : html.indexOf('>', stop) + 1;
+            } else if (!VOID_TAGS.has(tag) && !selfClosing) {
+                stack.push(element);
+            }
+        } else if (token.startsWith('<!--') || token.startsWith('<!')) {
+            // Comments and doctype carry no content
+        }
+    }
+    addText(decodeEntities(html.slice(lastIndex)));
+
+    return root;
+}
+
+function getTextContent(node) {
+    if (node.type === 'text') return node.text;
+    if (node.tag === 'br') return '\n';
+    if (RAW_TEXT_TAGS.has(node.tag)) return '';
+    return node.children.map(getTextContent).join('');
+}
+
+function isBlock(node) {
+    return node.type === 'element' && (BLOCK_TAGS.has(node.tag) || node.children.some(isBlock));
+}
+
+function escapeMarkdown(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/([*`])/g, '\\$1')
+        .replace(/(^|[^A-Za-z0-9])_|_(?=[^A-Za-z0-9]|$)/g, (match) => match.replace('_', '\\_'))
+        .replace(/<(?=[A-Za-z\/!?])/g, '&lt;')
+        .replace(/\[(?=[^\]]*\]\()/g, '\\[');
+}
+
+// Line starts that would turn a paragraph into a heading, quote or list
+function escapeLineStart(text) {
+    return text.replace(/^(\s*)(#{1,6}\s|>|[-+]\s|\d+)(\.\s)?/gm, (match, indent, marker, dot) => {
+        if (/^\d+$/.test(marker)) {
+            return dot ? `${indent}${marker}\\${dot}` : match;
+        }
+        return `${indent}\\${marker}${dot || ''}`;
+    });
+}
+
+function codeSpan(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+function codeFence(text, language = '') {
+    const longest = Math.max(0, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+// Inside code spans and fences Markdown cannot nest <sup>, so exponents and indices are written as ^ and _
+function codeText(node, lineBreak = ' ') {
+    if (node.type === 'text') return node.text;
+    if (node.tag === 'br') return lineBreak;
+
+    const inner = node.children.map(child => codeText(child, lineBreak)).join('');
+    if (node.tag === 'sup' || node.tag === 'sub') {
+        const mark = node.tag === 'sup' ? '^' : '_';
+        return /^-?[A-Za-z0-9]+$/.test(inner) ? `${mark}${inner}` : `${mark}(${inner})`;
+    }
+    return inner;
+}
+
+function wrapInline(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+function resolveUrl(url, options) {
+    if (options.baseUrl && url.startsWith('/') && !url.startsWith('//')) {
+        return `${options.baseUrl}${url}`;
+    }
+    return url;
+}
+
+function renderInline(nodes, options, context = {}) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            const text = node.text.replace(/[ \t\r\n\f]+/g, ' ');
+            return context.table ? escapeMarkdown(text).replace(/\|/g, '\\|') : escapeMarkdown(text);
+        }
+
+        const inner = () => renderInline(node.children, options, context);
+        switch (node.tag) {
+            case 'br':
+                return '\\\n';
+            case 'strong':
+            case 'b':
+                return wrapInline(inner(), '**');
+            case 'em':
+            case 'i':
+                return wrapInline(inner(), '*');
+            case 'del':
+            case 's':
+            case 'strike':
+                return wrapInline(inner(), '~~');
+            case 'code':
+            case 'kbd':
+            case 'tt':
+            case 'samp': {
+                const text = codeText(node).replace(/[ \t\r\n\f]+/g, ' ');
+                if (!text.trim()) return text;
+                const span = codeSpan(text);
+                return context.table ? span.replace(/\|/g, '\\|') : span;
+            }
+            case 'sup':
+            case 'sub': {
+                const content = inner().trim();
+                return content ? `<${node.tag}>${content}</${node.tag}>` : '';
+            }
+            case 'a': {
+                const content = inner();
+                const href = node.attributes.href ? resolveUrl(node.attributes.href, options) : '';
+                if (!href || href.startsWith('javascript:')) return content;
+                if (!content.trim()) return `<${href}>`;
+                return `[${content.trim()}](${href.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+            }
+            case 'img': {
+                const src = node.attributes.src || '';
+                const target = (options.imageMap && options.imageMap.get(src)) || resolveUrl(src, options);
+                const alt = (node.attributes.alt || node.attributes.title || '').replace(/[\[\]\n]/g, ' ').trim();
+                return target ? `![${alt}](${target.replace(/ /g, '%20')})` : '';
+            }
+            case 'script':
+            case 'style':
+                return '';
+            default:
+                // Blocks inside inline content (a <p> in a table cell) become line breaks
+                return BLOCK_TAGS.has(node.tag) ? `${inner()}\\\n` : inner();
+        }
+    }).join('');
+}
+
+function cleanInline(text) {
+    return text
+        .replace(/ *\\\n */g, '\\\n')
+        .replace(/(?:\\\n)+$/g, '')
+        .replace(/^(?:\\\n)+/g, '')
+        .replace(/ {2,}/g, ' ')
+        .replace(/\u00a0/g, ' ')
+        .trim();
+}
+
+function renderParagraph(nodes, options) {
+    return escapeLineStart(cleanInline(renderInline(nodes, options)));
+}
+
+function indent(text, prefix, firstPrefix = prefix) {
+    return text.split('\n').map((line, i) => {
+        if (i === 0) return firstPrefix + line;
+        return line ? prefix + line : '';
+    }).join('\n');
+}
+
+function renderList(node, options) {
+    const ordered = node.tag === 'ol';
+    let number = ordered ? parseInt(node.attributes.start || '1', 10) || 1 : 0;
+    const items = [];
+
+    const listItems = [];
+    for (const child of node.children) {
+        if (child.type === 'text' && !child.text.trim()) continue;
+
+        const last = listItems[listItems.length - 1];
+        if (child.type === 'element' && child.tag === 'li') {
+            listItems.push(child);
+        } else if (last && child.type === 'element' && (child.tag === 'ul' || child.tag === 'ol')) {
+            // <ul><li>a</li><ul>...</ul></ul>: the nested list belongs to the item before it
+            last.children.push(child);
+        } else {
+            const item = createElement('li', {}, node);
+            item.children.push(child);
+            listItems.push(item);
+        }
+    }
+
+    for (const item of listItems) {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const content = renderBlocks(item.children, options, { tight: true }) || '';
+        items.push(indent(content, ' '.repeat(marker.length), marker));
+    }
+
+    return items.join('\n');
+}
+
+function renderTable(node, options) {
+    const rows = [];
+    const collect = (parent) => {
+        for (const child of parent.children) {
+            if (child.type !== 'element') continue;
+            if (child.tag === 'tr') {
+                rows.push(child.children.filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th')));
+            } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+                collect(child);
+            }
+        }
+    };
+    collect(node);
+    if (rows.length === 0) return '';
+
+    const renderCell = cell => {
+        const text = cleanInline(renderInline(cell.children, options, { table: true }));
+        return text.replace(/\\\n/g, '<br>').replace(/\n/g, ' ');
+    };
+    const cells = rows.map(row => row.map(renderCell));
+    const columns = Math.max(...cells.map(row => row.length));
+    const alignments = rows[0].map(cell => {
+        const align = (cell.attributes.align || (cell.attributes.style || '').replace(/.*text-align:\s*(\w+).*/i, '$1')).toLowerCase();
+        return { left: ':---', center: ':---:', right: '---:' }[align] || '---';
+    });
+
+    const line = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+    return [
+        line(cells[0]),
+        line(Array.from({ length: columns }, (_, i) => alignments[i] || '---')),
+        ...cells.slice(1).map(line)
+    ].join('\n');
+}
+
+function renderPre(node) {
+    const code = node.children.find(child => child.type === 'element' && child.tag === 'code');
+    const className = (code && code.attributes.class) || node.attributes.class || '';
+    const language = (className.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+    const text = codeText(node, '\n').replace(/\u00a0/g, ' ').replace(/^\n+|\s+$/g, '');
+    return text ? codeFence(text, language) : '';
+}
+
+function renderBlock(node, options) {
+    switch (node.tag) {
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const text = cleanInline(renderInline(node.children, options)).replace(/\\\n/g, ' ');
+            return text ? `${'#'.repeat(parseInt(node.tag[1], 10))} ${text}` : '';
+        }
+        case 'p':
+            return renderParagraph(node.children, options);
+        case 'pre':
+            return renderPre(node);
+        case 'ul':
+        case 'ol':
+            return renderList(node, options);
+        case 'table':
+            return renderTable(node, options);
+        case 'blockquote': {
+            const content = renderBlocks(node.children, options);
+            return content ? indent(content, '> ').replace(/^$/gm, '>') : '';
+        }
+        case 'hr':
+            return '---';
+        case 'dt':
+            return wrapInline(cleanInline(renderInline(node.children, options)), '**');
+        case 'li': {
+            const list = createElement('ul');
+            list.children.push(node);
+            return renderList(list, options);
+        }
+        case 'script':
+        case 'style':
+            return '';
+        default:
+            return renderBlocks(node.children, options);
+    }
+}
+
+/**
+ * Render a mixed list of nodes: runs of inline content become paragraphs and block
+ * elements render on their own. In list items (tight) blocks are separated by a single
+ * newline so nested lists stay attached to their item.
+ */
+function renderBlocks(nodes, options, { tight = false } = {}) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+        const paragraph = renderParagraph(inline, options);
+        if (paragraph) blocks.push({ text: paragraph, paragraph: true });
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (isBlock(node)) {
+            flush();
+            const text = renderBlock(node, options);
+            if (text) blocks.push({ text, paragraph: node.tag === 'p', tag: node.tag });
+        } else {
+            inline.push(node);
+        }
+    }
+    flush();
+
+    return blocks.map((block, i) => {
+        if (i === 0) return block.text;
+        // Two lists of the same kind in a row would merge into one; a comment keeps them apart
+        if ((block.tag === 'ol' || block.tag === 'ul') && blocks[i - 1].tag === block.tag) {
+            return `\n\n<!-- -->\n\n${block.text}`;
+        }
+        const separator = tight && !(block.paragraph && blocks[i - 1].paragraph) ? '\n' : '\n\n';
+        return separator + block.text;
+    }).join('');
+}
+
+/**
+ * Convert a problem statement (or any LeetCode HTML fragment) to GitHub-flavored Markdown.
+ * options.imageMap maps <img src> values to local paths, options.baseUrl makes
+ * site-relative links absolute.
+ */
+function convertHtmlToMarkdown(html, options = {}) {
+    return renderBlocks(parseHtml(html || '').children, options).trim();
+}
+
+module.exports = {
+    codeFence,
+    decodeEntities,
+    parseHtml,
+    getTextContent,
+    convertHtmlToMarkdown
+};
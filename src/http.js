@@ -0,0 +1,140 @@
+/**
+ * @file http.js
+ * @description Shared HTTP client with adaptive rate limiting and 429/5xx backoff
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const axios = require('axios');
+const { logHttpError } = require('./logger');
+
+const DEFAULT_RPS = 5;
+const MIN_RPS = 0.2;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 60000;
+const RECOVERY_THRESHOLD = 20;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withJitter(ms, ratio = 0.2) {
+    return ms + ms * ratio * Math.random();
+}
+
+function backoffDelay(attempt) {
+    return Math.min(MAX_BACKOFF, withJitter(BASE_BACKOFF * Math.pow(2, attempt)));
+}
+
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return null;
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+class RateLimiter {
+    constructor(rps = DEFAULT_RPS) {
+        this.configure(rps);
+    }
+
+    configure(rps) {
+        this.targetRps = rps > 0 ? rps : DEFAULT_RPS;
+        this.rps = this.targetRps;
+        this.nextSlot = 0;
+        this.pausedUntil = 0;
+        this.successStreak = 0;
+    }
+
+    async acquire() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot, this.pausedUntil);
+        this.nextSlot = slot + withJitter(1000 / this.rps);
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    }
+
+    onSuccess() {
+        this.successStreak++;
+        if (this.rps < this.targetRps && this.successStreak >= RECOVERY_THRESHOLD) {
+            this.rps = Math.min(this.targetRps, this.rps * 1.25);
+            this.successStreak = 0;
+        }
+    }
+
+    onThrottle(delay) {
+        this.successStreak = 0;
+        this.rps = Math.max(MIN_RPS, this.rps / 2);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    }
+}
+
+const limiter = new RateLimiter();
+
+function configureRateLimiter({ rps } = {}) {
+    limiter.configure(rps);
+}
+
+async function request(config, retries = MAX_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        await limiter.acquire();
+
+        try {
+            const response = await axios(config);
+            limiter.onSuccess();
+            return response;
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            const retryable = status === null || isRetryableStatus(status);
+            error.status = status;
+            error.attempts = attempt + 1;
+
+            if (!retryable || attempt >= retries) {
+                logHttpError(config, { status, attempt: attempt + 1, retries, retrying: false, message: error.message });
+                throw error;
+            }
+
+            const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+            // Capped: the pause holds every worker, so a Retry-After of hours must not stall the run
+            const delay = retryAfter !== null ? Math.min(retryAfter, MAX_BACKOFF) : backoffDelay(attempt);
+            logHttpError(config, { status, attempt: attempt + 1, retries, retrying: true, delay, message: error.message });
+
+            if (status !== null) {
+                limiter.onThrottle(delay);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+function get(url, config = {}) {
+    return request({ ...config, method: 'get', url });
+}
+
+function post(url, data, config = {}) {
+    return request({ ...config, method: 'post', url, data });
+}
+
+module.exports = {
+    DEFAULT_RPS,
+    sleep,
+    backoffDelay,
+    configureRateLimiter,
+    request,
+    get,
+    post
+};
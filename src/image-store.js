@@ -0,0 +1,303 @@
+/**
+ * @file image-store.js
+ * @description Dataset-wide image store keyed by content hash, with a manifest of failed image URLs
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('./http');
+const { log } = require('./logger');
+
+const IMAGE_STORE_DIR = '.images';
+const IMAGE_MANIFEST_FILE = 'manifest.json';
+const IMAGE_MANIFEST_VERSION = 1;
+const IMAGE_STORE_MODES = ['link', 'ref', 'none'];
+const STORE_REFERENCE_PATTERN = /(?:\.\.\/)+\.images\/([0-9a-f]{2}\/[0-9a-f]{64}\.[A-Za-z0-9]+)/g;
+
+const stores = new Map();
+
+function parseImageStoreMode(value) {
+    if (!IMAGE_STORE_MODES.includes(value)) {
+        throw new Error(`Invalid --image-store value: ${value}. Valid values: ${IMAGE_STORE_MODES.join(', ')}`);
+    }
+    return value;
+}
+
+function getImageExtension(url) {
+    const fileName = url.split(/[?#]/)[0].split('/').pop();
+    const ext = fileName.includes('.') ? fileName.substring(fileName.lastIndexOf('.')).toLowerCase() : '';
+    return /^\.[a-z0-9]{1,5}$/.test(ext) ? ext : '.png';
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+async function listFiles(dirPath, extensions) {
+    try {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && extensions.includes(path.extname(entry.name)))
+            .map(entry => path.join(dirPath, entry.name));
+    } catch (error) {
+        return [];
+    }
+}
+
+class ImageStore {
+    constructor(datasetPath, mode) {
+        this.datasetPath = datasetPath;
+        this.mode = mode;
+        this.storePath = path.join(datasetPath, IMAGE_STORE_DIR);
+        this.manifestPath = path.join(this.storePath, IMAGE_MANIFEST_FILE);
+        this.images = {};
+        this.failed = {};
+        this.fetches = new Map();
+        this.writeQueue = Promise.resolve();
+        this.pendingSave = null;
+    }
+
+    async load() {
+        try {
+            const data = await fs.readJson(this.manifestPath);
+            if (data && data.version === IMAGE_MANIFEST_VERSION) {
+                this.images = data.images || {};
+                this.failed = data.failed || {};
+            }
+        } catch (error) {
+            // Missing or unreadable manifest: images are fetched again and stored by hash
+        }
+        return this;
+    }
+
+    get failedCount() {
+        return Object.keys(this.failed).length;
+    }
+
+    async isStored(url) {
+        const known = this.images[url];
+        if (!known) return false;
+        return fs.pathExists(path.join(this.storePath, known));
+    }
+
+    // Each URL is fetched once per run and once per dataset; identical content is stored once
+    fetch(url) {
+        if (!this.fetches.has(url)) {
+            const fetching = this.fetchOnce(url);
+            this.fetches.set(url, fetching);
+            fetching.catch(() => this.fetches.delete(url));
+        }
+        return this.fetches.get(url);
+    }
+
+    async fetchOnce(url) {
+        const known = this.images[url];
+        if (known && await fs.pathExists(path.join(this.storePath, known))) {
+            return path.join(this.storePath, known);
+        }
+
+        const response = await http.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+        const data = Buffer.from(response.data);
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        const relativePath = `${hash.slice(0, 2)}/${hash}${getImageExtension(url)}`;
+        const filePath = path.join(this.storePath, relativePath);
+
+        if (!await fs.pathExists(filePath)) {
+            await fs.ensureDir(path.dirname(filePath));
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, data);
+            await fs.rename(tempPath, filePath);
+        }
+
+        this.images[url] = relativePath;
+        return filePath;
+    }
+
+    // Returns the reference to write into a file in fileDir. In "link" mode the image is
+    // hard linked into imageDir so the problem folder stays self-contained.
+    async place(url, fileDir, imageDir) {
+        let storedPath;
+        try {
+            storedPath = await this.fetch(url);
+        } catch (error) {
+            this.recordFailure(url, fileDir, imageDir, error);
+            throw error;
+        }
+        this.clearFailure(url, fileDir);
+
+        if (this.mode === 'ref') {
+            return toPosix(path.relative(fileDir, storedPath));
+        }
+
+        const linkPath = path.join(imageDir, path.basename(storedPath).slice(0, 16) + path.extname(storedPath));
+        if (!await fs.pathExists(linkPath)) {
+            await fs.ensureDir(imageDir);
+            try {
+                await fs.link(storedPath, linkPath);
+            } catch (error) {
+                if (error.code !== 'EXDEV' && error.code !== 'EPERM' && error.code !== 'ENOTSUP') throw error;
+                await fs.copy(storedPath, linkPath);
+            }
+        }
+        return `./${toPosix(path.relative(fileDir, linkPath))}`;
+    }
+
+    recordFailure(url, fileDir, imageDir, error) {
+        const entry = this.failed[url] || { attempts: 0, refs: [] };
+        const ref = {
+            dir: toPosix(path.relative(this.datasetPath, fileDir)),
+            images: toPosix(path.relative(fileDir, imageDir))
+        };
+
+        if (!entry.refs.some(r => r.dir === ref.dir)) {
+            entry.refs.push(ref);
+        }
+        this.failed[url] = {
+            ...entry,
+            attempts: entry.attempts + 1,
+            error: error.status ? `HTTP ${error.status}` : error.message,
+            lastAttempt: new Date().toISOString()
+        };
+        log.debug(`  Image failed: ${url} (${this.failed[url].error})`);
+    }
+
+    // Other files may still reference the remote URL, so only this folder's entry is dropped
+    clearFailure(url, fileDir) {
+        const entry = this.failed[url];
+        if (!entry) return;
+
+        const dir = toPosix(path.relative(this.datasetPath, fileDir));
+        entry.refs = entry.refs.filter(ref => ref.dir !== dir);
+        if (entry.refs.length === 0) {
+            delete this.failed[url];
+        }
+    }
+
+    // Fetch the images that failed in earlier runs and point the files that still
+    // reference the remote URL at the stored copy
+    async retryFailed() {
+        const result = { retried: 0, recovered: 0 };
+
+        for (const [url, entry] of Object.entries(this.failed)) {
+            result.retried++;
+            try {
+                for (const ref of entry.refs) {
+                    const fileDir = path.join(this.datasetPath, ref.dir);
+                    if (!await fs.pathExists(fileDir)) continue;
+
+                    const reference = await this.place(url, fileDir, path.join(fileDir, ref.images));
+                    for (const file of await listFiles(fileDir, ['.md', '.html'])) {
+                        const content = await fs.readFile(file, 'utf8');
+                        if (content.includes(url)) {
+                            await fs.writeFile(file, content.split(url).join(reference), 'utf8');
+                        }
+                    }
+                }
+                delete this.failed[url];
+                result.recovered++;
+            } catch (error) {
+                // Recorded again by place(); the next run tries once more
+            }
+        }
+
+        await this.save();
+        return result;
+    }
+
+    save() {
+        if (this.pendingSave) {
+            return this.pendingSave;
+        }
+
+        this.pendingSave = this.writeQueue.then(async () => {
+            this.pendingSave = null;
+            await fs.ensureDir(this.storePath);
+            const tempPath = `${this.manifestPath}.${process.pid}.tmp`;
+            await fs.writeJson(tempPath, {
+                version: IMAGE_MANIFEST_VERSION,
+                updatedAt: new Date().toISOString(),
+                images: this.images,
+                failed: this.failed
+            }, { spaces: 2 });
+            await fs.rename(tempPath, this.manifestPath);
+        });
+        this.writeQueue = this.pendingSave.catch(() => {});
+        return this.pendingSave;
+    }
+}
+
+async function openImageStore(datasetPath, mode) {
+    const key = path.resolve(datasetPath);
+    if (!stores.has(key)) {
+        stores.set(key, new ImageStore(key, mode).load());
+    }
+    const store = await stores.get(key);
+    store.mode = mode;
+    return store;
+}
+
+// Exported "ref" mode files point into the source dataset's store; copy the images they
+// use into the export's own store and rewrite the relative paths for the new location
+async function copyStoreReferences(sourceProblemPath, destProblemPath, sourceDatasetPath, destFolder) {
+    const stats = { files: 0, bytes: 0 };
+    const walk = async (dirPath) => {
+        for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                await walk(entryPath);
+                continue;
+            }
+            if (!['.md', '.html'].includes(path.extname(entry.name))) continue;
+
+            const content = await fs.readFile(entryPath, 'utf8');
+            const sourceDir = path.join(sourceProblemPath, path.relative(destProblemPath, dirPath));
+            let changed = false;
+
+            const rewritten = await replaceAsync(content, STORE_REFERENCE_PATTERN, async (match, storeRelativePath) => {
+                if (path.resolve(sourceDir, match) !== path.join(sourceDatasetPath, IMAGE_STORE_DIR, storeRelativePath)) {
+                    return match;
+                }
+
+                const destImage = path.join(destFolder, IMAGE_STORE_DIR, storeRelativePath);
+                if (!await fs.pathExists(destImage)) {
+                    await fs.copy(path.join(sourceDatasetPath, IMAGE_STORE_DIR, storeRelativePath), destImage);
+                    stats.files++;
+                    stats.bytes += (await fs.stat(destImage)).size;
+                }
+                changed = true;
+                return toPosix(path.relative(dirPath, destImage));
+            });
+
+            if (changed) {
+                await fs.writeFile(entryPath, rewritten, 'utf8');
+            }
+        }
+    };
+
+    await walk(destProblemPath);
+    return stats;
+}
+
+async function replaceAsync(text, pattern, replacer) {
+    const replacements = [];
+    text.replace(pattern, (...args) => {
+        replacements.push(replacer(...args));
+        return args[0];
+    });
+    const values = await Promise.all(replacements);
+    let i = 0;
+    return text.replace(pattern, () => values[i++]);
+}
+
+module.exports = {
+    IMAGE_STORE_DIR,
+    IMAGE_STORE_MODES,
+    parseImageStoreMode,
+    getImageExtension,
+    ImageStore,
+    openImageStore,
+    copyStoreReferences
+};
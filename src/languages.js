@@ -0,0 +1,38 @@
+/**
+ * @file languages.js
+ * @description LeetCode language slugs and the file extensions their code is saved with
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const LANGUAGE_EXT_MAP = {
+    'cpp': 'cpp',
+    'java': 'java',
+    'python3': 'py',
+    'python': 'py2',
+    'javascript': 'js',
+    'typescript': 'ts',
+    'csharp': 'cs',
+    'c': 'c',
+    'golang': 'go',
+    'kotlin': 'kt',
+    'swift': 'swift',
+    'rust': 'rs',
+    'ruby': 'rb',
+    'php': 'php',
+    'dart': 'dart',
+    'scala': 'scala',
+    'elixir': 'ex',
+    'erlang': 'erl',
+    'racket': 'rkt',
+    'mysql': 'sql',
+    'mssql': 'mssql.sql',
+    'postgresql': 'pgsql.sql',
+    'oraclesql': 'oracle.sql',
+    'pythondata': 'pandas.py',
+    'bash': 'sh'
+};
+
+module.exports = {
+    LANGUAGE_EXT_MAP
+};
@@ -0,0 +1,149 @@
+/**
+ * @file layout.js
+ * @description Problem folder layout templates and the dataset.json that records them
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const DATASET_FILE = 'dataset.json';
+const DATASET_VERSION = 1;
+const DEFAULT_LAYOUT = '{tag}/{id:04}_{difficulty}_{name}';
+const LAYOUT_TOKENS = ['id', 'slug', 'name', 'difficulty', 'tag', 'category'];
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const LINK_DIRS = {
+    tags: 'by-tag',
+    companies: 'by-company'
+};
+
+// Problems outside these tags are grouped under "algorithms", like LeetCode's own categories
+const CATEGORY_TAGS = ['database', 'shell', 'concurrency'];
+
+function sanitizeFolderName(name) {
+    return name.replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+function parseLayout(value) {
+    const layout = String(value || '').trim().replace(/^\/+|\/+$/g, '');
+    if (!layout) {
+        throw new Error('Invalid --layout value. Expected a template like "{difficulty}/{id:04}-{slug}"');
+    }
+
+    const segments = layout.split('/');
+    for (const segment of segments) {
+        if (!segment || segment === '.' || segment === '..') {
+            throw new Error(`Invalid --layout value: ${value}. Path segments must not be empty, "." or ".."`);
+        }
+        for (const [, token] of segment.matchAll(TOKEN_PATTERN)) {
+            if (!LAYOUT_TOKENS.includes(token)) {
+                throw new Error(`Unknown --layout token: {${token}}. Valid tokens: ${LAYOUT_TOKENS.join(', ')}`);
+            }
+        }
+    }
+
+    if (!/\{(id|slug)(:\d+)?\}/.test(segments[segments.length - 1])) {
+        throw new Error(`Invalid --layout value: ${value}. The last folder must contain {id} or {slug} so every problem gets its own folder`);
+    }
+
+    return layout;
+}
+
+function getLayoutDepth(layout) {
+    return layout.split('/').length;
+}
+
+function getCategory(problem) {
+    if (problem.category) return problem.category;
+    const tags = problem.tags || [];
+    return CATEGORY_TAGS.find(tag => tags.includes(tag)) || 'algorithms';
+}
+
+function renderLayout(layout, problem) {
+    const tag = problem.tags && problem.tags.length > 0 ? problem.tags[0] : 'uncategorized';
+    const values = {
+        id: String(problem.id),
+        slug: problem.slug || '',
+        name: problem.name.toLowerCase(),
+        difficulty: problem.difficulty,
+        tag,
+        category: getCategory(problem)
+    };
+
+    const segments = layout.split('/').map(segment => segment.replace(TOKEN_PATTERN, (_, token, width) => {
+        const value = sanitizeFolderName(values[token] || '');
+        return width ? value.padStart(parseInt(width, 10), '0') : value;
+    }));
+
+    return path.join(...segments);
+}
+
+async function loadDatasetConfig(datasetPath) {
+    const configPath = path.join(datasetPath, DATASET_FILE);
+    const defaults = { version: DATASET_VERSION, layout: DEFAULT_LAYOUT, links: [], imageStore: null, recorded: false };
+    if (!await fs.pathExists(configPath)) {
+        return defaults;
+    }
+
+    try {
+        const data = await fs.readJson(configPath);
+        if (data && data.version === DATASET_VERSION) {
+            return {
+                ...defaults,
+                layout: data.layout || DEFAULT_LAYOUT,
+                links: data.links || [],
+                imageStore: data.imageStore || null,
+                recorded: true
+            };
+        }
+    } catch (error) {
+        return defaults;
+    }
+    return defaults;
+}
+
+async function saveDatasetConfig(datasetPath, { layout, links, imageStore = null }) {
+    const configPath = path.join(datasetPath, DATASET_FILE);
+    const tempPath = `${configPath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, { version: DATASET_VERSION, layout, links, imageStore }, { spaces: 2 });
+    await fs.rename(tempPath, configPath);
+}
+
+async function linkProblem(datasetPath, problem, problemPath, kinds) {
+    for (const kind of kinds) {
+        const values = kind === 'tags' ? problem.tags : problem.companies;
+
+        for (const value of values || []) {
+            const linkDir = path.join(datasetPath, LINK_DIRS[kind], sanitizeFolderName(value));
+            const linkPath = path.join(linkDir, path.basename(problemPath));
+            const target = path.relative(linkDir, problemPath);
+
+            await fs.ensureDir(linkDir);
+            try {
+                const stat = await fs.lstat(linkPath);
+                if (stat.isSymbolicLink() && await fs.readlink(linkPath) === target) {
+                    continue;
+                }
+                await fs.remove(linkPath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            await fs.symlink(target, linkPath, 'dir');
+        }
+    }
+}
+
+module.exports = {
+    DATASET_FILE,
+    DEFAULT_LAYOUT,
+    LAYOUT_TOKENS,
+    LINK_DIRS,
+    sanitizeFolderName,
+    parseLayout,
+    getLayoutDepth,
+    renderLayout,
+    loadDatasetConfig,
+    saveDatasetConfig,
+    linkProblem
+};
@@ -0,0 +1,203 @@
+/**
+ * @file logger.js
+ * @description Shared logging and terminal output: levels, color and TTY detection, spinners and --log-file
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+const state = {
+    level: LEVELS.info,
+    color: null,
+    logFile: null
+};
+
+// Like console.log, ignore a reader that went away (e.g. piping into head)
+for (const stream of [process.stdout, process.stderr]) {
+    stream.on('error', (error) => {
+        if (error.code !== 'EPIPE') throw error;
+    });
+}
+
+function configureLogger({ level, color, logFile } = {}) {
+    if (level !== undefined) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Invalid log level: ${level}. Valid levels: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        state.level = LEVELS[level];
+    }
+    if (color !== undefined) {
+        state.color = color;
+    }
+    if (logFile) {
+        state.logFile = path.resolve(logFile);
+        fs.mkdirSync(path.dirname(state.logFile), { recursive: true });
+        appendToLogFile('info', `leetcode-fetch ${process.argv.slice(2).join(' ')}`);
+    }
+}
+
+function stripAnsi(text) {
+    return String(text).replace(ANSI_PATTERN, '');
+}
+
+// NO_COLOR (https://no-color.org) and --no-color win; otherwise color only on a terminal
+function useColor(stream = process.stdout) {
+    if (state.color !== null) return state.color;
+    if (process.env.NO_COLOR) return false;
+    return Boolean(stream.isTTY);
+}
+
+function isInteractive(stream = process.stdout) {
+    return Boolean(stream.isTTY);
+}
+
+function appendToLogFile(level, text) {
+    if (!state.logFile) return;
+    const lines = stripAnsi(text).split('\n').filter(line => line.trim());
+    if (lines.length === 0) return;
+
+    const prefix = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)}`;
+    try {
+        fs.appendFileSync(state.logFile, lines.map(line => `${prefix} ${line}\n`).join(''));
+    } catch (error) {
+        state.logFile = null;
+        process.stderr.write(`Warning: Could not write log file: ${error.message}\n`);
+    }
+}
+
+function writeConsole(stream, text) {
+    stream.write((useColor(stream) ? text : stripAnsi(text)) + '\n');
+}
+
+function write(level, stream, args) {
+    const text = util.format(...args);
+    appendToLogFile(level, text);
+
+    if (LEVELS[level] > state.level) return;
+    writeConsole(stream, text);
+}
+
+const log = {
+    error: (...args) => write('error', process.stderr, args),
+    warn: (...args) => write('warn', process.stderr, args),
+    info: (...args) => write('info', process.stdout, args),
+    debug: (...args) => write('debug', process.stdout, args.map(arg => typeof arg === 'string' ? `\x1b[2m${arg}\x1b[0m` : arg)),
+
+    // Output the user asked for (help, usage), printed whatever the level
+    print: (...args) => writeConsole(process.stdout, util.format(...args)),
+
+    // Single-line progress counters are redrawn in place, so they only make sense on a terminal
+    progress: (text) => {
+        if (!isInteractive() || state.level < LEVELS.info) return;
+        process.stdout.write(`\r${useColor() ? text : stripAnsi(text)}`);
+    },
+
+    clearLine: () => {
+        if (!isInteractive() || state.level < LEVELS.info) return;
+        process.stdout.write('\r\x1b[K');
+    }
+};
+
+function getOperationName(config) {
+    const data = config.data;
+    if (data && data.operationName) return data.operationName;
+
+    const match = data && typeof data.query === 'string' && data.query.match(/(?:query|mutation)\s+(\w+)/);
+    if (match) return match[1];
+
+    try {
+        return new URL(config.url).pathname;
+    } catch (error) {
+        return config.url;
+    }
+}
+
+function logHttpError(config, { status, attempt, retries, retrying, delay, message }) {
+    const operation = getOperationName(config);
+    const statusInfo = status === null ? 'network error' : `status ${status}`;
+    const retryInfo = retrying
+        ? `retry ${attempt}/${retries} in ${(delay / 1000).toFixed(1)}s`
+        : `gave up after ${attempt} attempt${attempt === 1 ? '' : 's'}`;
+
+    const text = `${(config.method || 'get').toUpperCase()} ${operation}: ${statusInfo}, ${retryInfo} (${message})`;
+
+    // Always recorded in --log-file; on the console only with --verbose
+    appendToLogFile('http', text);
+    if (state.level >= LEVELS.debug) {
+        writeConsole(process.stdout, `\x1b[2m  HTTP ${text}\x1b[0m`);
+    }
+}
+
+class Spinner {
+    constructor(message = 'Loading') {
+        this.frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+        this.currentFrame = 0;
+        this.message = message;
+        this.interval = null;
+    }
+
+    start() {
+        // CI logs and pipes get the message once instead of an animation
+        if (!isInteractive() || state.level < LEVELS.info) {
+            log.info(`\x1b[2m${this.message}...\x1b[0m`);
+            return;
+        }
+
+        this.interval = setInterval(() => {
+            log.progress(`\x1b[2m${this.frames[this.currentFrame]} ${this.message}...\x1b[0m`);
+            this.currentFrame = (this.currentFrame + 1) % this.frames.length;
+        }, 80);
+    }
+
+    stop(clearLine = true) {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            if (clearLine) {
+                log.clearLine();
+            }
+        }
+    }
+
+    update(message) {
+        this.message = message;
+    }
+
+    succeed(message) {
+        this.stop(true);
+        log.info(`\x1b[32m✓\x1b[0m ${message}`);
+    }
+
+    fail(message) {
+        this.stop(true);
+        log.error(`\x1b[31m✗\x1b[0m ${message}`);
+    }
+
+    info(message) {
+        this.stop(true);
+        log.info(`\x1b[36m›\x1b[0m ${message}`);
+    }
+}
+
+module.exports = {
+    LEVELS,
+    configureLogger,
+    stripAnsi,
+    useColor,
+    isInteractive,
+    log,
+    logHttpError,
+    Spinner
+};
@@ -0,0 +1,318 @@
+/**
+ * @file markdown-html.js
+ * @description Markdown to HTML renderer for saved solutions: CommonMark blocks, GFM tables and fenced code with highlighting
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const { escapeHtml, highlightCode } = require('./highlight');
+const { decodeEntities } = require('./html-markdown');
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})\s*([^\s`{]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const HTML_BLOCK = /^ {0,3}<\/?(?:address|article|aside|blockquote|center|details|dialog|div|dl|figure|footer|form|h[1-6]|header|hr|iframe|li|main|nav|ol|p|pre|section|summary|table|tbody|td|tfoot|th|thead|tr|ul|video)(?:[\s/>]|$)/i;
+const TOC = /^\s*\[TOC\]\s*$/i;
+
+// Solutions are third-party content: raw HTML keeps only these tags and attributes, and
+// URLs only these schemes, so a saved page cannot run scripts
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+    'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strike', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody',
+    'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+]);
+const ALLOWED_ATTRIBUTES = new Set(['align', 'alt', 'colspan', 'height', 'href', 'open', 'rowspan', 'src', 'start', 'title', 'width']);
+const RAW_TAG = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|<!--[\s\S]*?-->/g;
+const RAW_ATTRIBUTE = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+// Link destinations may hold one level of balanced parentheses, as in CommonMark
+const DESTINATION = '\\s*(?:<([^<>\\n]*)>|((?:[^\\s()\\\\]|\\\\.|\\((?:[^\\s()\\\\]|\\\\.)*\\))*))(?:\\s+"([^"]*)")?\\s*';
+const IMAGE = new RegExp(`!\\[([^\\]]*)\\]\\(${DESTINATION}\\)`, 'g');
+const LINK = new RegExp(`\\[((?:[^\\[\\]]|\\[[^\\]]*\\])*)\\]\\(${DESTINATION}\\)`, 'g');
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function isSafeUrl(url, { image = false } = {}) {
+    const normalized = url.replace(/[\u0000-\u0020]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) return true;
+    return ['http', 'https', 'mailto'].includes(scheme[1]) || (image && normalized.startsWith('data:image/'));
+}
+
+function sanitizeTag(tag, closing, name, attributes, selfClosing) {
+    if (tag.startsWith('<!--')) return tag;
+    const tagName = name.toLowerCase();
+    if (!ALLOWED_TAGS.has(tagName)) return escapeHtml(tag);
+    if (closing) return `</${tagName}>`;
+
+    const kept = [];
+    for (const [, attribute, double, single, bare] of (attributes || '').matchAll(RAW_ATTRIBUTE)) {
+        const key = attribute.toLowerCase();
+        // Browsers decode entities in attributes, so &#106;avascript: is checked as javascript:
+        const value = decodeEntities(double !== undefined ? double : single !== undefined ? single : bare || '');
+        if (!ALLOWED_ATTRIBUTES.has(key)) continue;
+        if ((key === 'href' || key === 'src') && !isSafeUrl(value, { image: key === 'src' })) continue;
+        kept.push(value ? `${key}="${escapeAttribute(value)}"` : key);
+    }
+    return `<${tagName}${kept.map(attribute => ` ${attribute}`).join('')}${selfClosing ? ' /' : ''}>`;
+}
+
+function sanitizeHtml(html) {
+    return html.replace(RAW_TAG, sanitizeTag);
+}
+
+function isBlank(line) {
+    return !line.trim();
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        HTML_BLOCK.test(line) || /^ {0,3}(?:[-*+]|1[.)])[ \t]+\S/.test(line);
+}
+
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Code spans, links, images, raw tags and $math$ are set aside as placeholders, so the
+// emphasis rules below only ever see plain text
+function renderInline(text) {
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    const render = (source) => {
+        source = source.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+            const trimmed = /^ [\s\S]* $/.test(code) && code.trim() ? code.slice(1, -1) : code;
+            return keep(`<code>${escapeHtml(trimmed.replace(/\n/g, ' '))}</code>`);
+        });
+        source = source.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\]^_`{|}~\\])/g, (match, char) => keep(escapeHtml(char)));
+        source = source.replace(/\$\$[\s\S]+?\$\$|\$[^$\n]+\$/g, math => keep(`<span class="math">${escapeHtml(math)}</span>`));
+        source = source.replace(IMAGE, (match, alt, bracketed, bare, title) => {
+            const src = bracketed !== undefined ? bracketed : bare;
+            if (!isSafeUrl(src, { image: true })) return keep(escapeHtml(alt));
+            return keep(`<img src="${escapeAttribute(src)}" alt="${escapeAttribute(alt)}"${title ? ` title="${escapeAttribute(title)}"` : ''}>`);
+        });
+        source = source.replace(LINK, (match, label, bracketed, bare, title) => {
+            const href = bracketed !== undefined ? bracketed : bare;
+            if (!isSafeUrl(href)) return keep(render(label));
+            return keep(`<a href="${escapeAttribute(href)}"${title ? ` title="${escapeAttribute(title)}"` : ''}>${render(label)}</a>`);
+        });
+        source = source.replace(/<(https?:\/\/[^\s<>]+)>/g, (match, url) => keep(`<a href="${escapeAttribute(url)}">${escapeHtml(url)}</a>`));
+        source = source.replace(RAW_TAG, (...match) => keep(sanitizeTag(...match)));
+
+        return escapeHtml(source)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+    };
+
+    let html = render(String(text).replace(/\u0000/g, ''));
+    // Placeholders can nest (a link label holding code), so restore until none are left
+    while (/\u0000\d+\u0000/.test(html)) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+    }
+    return html;
+}
+
+function renderCodeBlock(code, language) {
+    const className = language ? ` class="language-${escapeAttribute(language)}"` : '';
+    return `<pre><code${className}>${highlightCode(code, language)}</code></pre>`;
+}
+
+function renderTable(lines) {
+    const header = splitRow(lines[0]);
+    const alignments = splitRow(lines[1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+    const cell = (tag, content, i) => {
+        const align = alignments[i] ? ` style="text-align: ${alignments[i]}"` : '';
+        return `<${tag}${align}>${renderInline(content || '')}</${tag}>`;
+    };
+
+    const head = `<thead><tr>${header.map((c, i) => cell('th', c, i)).join('')}</tr></thead>`;
+    const rows = lines.slice(2).map(line => `<tr>${header.map((_, i) => cell('td', splitRow(line)[i], i)).join('')}</tr>`);
+    return `<table>${head}${rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : ''}</table>`;
+}
+
+function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const ordered = /\d/.test(first[2]);
+    const marker = first[2].slice(-1);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== marker) break;
+
+        const contentIndent = match[1].length + match[2].length + (match[3].length > 4 ? 1 : Math.max(match[3].length, 1));
+        const itemLines = [lines[i].slice(match[0].length)];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                const next = lines.slice(i + 1).find(l => !isBlank(l));
+                if (next === undefined || next.search(/\S/) < contentIndent) break;
+                itemLines.push('');
+                loose = true;
+                i++;
+            } else if (line.search(/\S/) >= contentIndent) {
+                itemLines.push(line.slice(contentIndent));
+                i++;
+            } else if (!startsBlock(line) && !LIST_ITEM.test(line) && !isBlank(itemLines[itemLines.length - 1])) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        items.push(itemLines);
+        if (i < lines.length && isBlank(lines[i])) {
+            const next = lines.slice(i).findIndex(l => !isBlank(l));
+            if (next !== -1 && LIST_ITEM.test(lines[i + next])) {
+                const nextMatch = lines[i + next].match(LIST_ITEM);
+                if (/\d/.test(nextMatch[2]) === ordered && nextMatch[2].slice(-1) === marker) {
+                    loose = true;
+                    i += next;
+                }
+            }
+        }
+    }
+
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const html = `<${tag}${startAttribute}>\n${items.map(item => `<li>${renderBlocks(item, !loose)}</li>`).join('\n')}\n</${tag}>`;
+    return { html, next: i };
+}
+
+function renderBlocks(lines, tight = false) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line) || TOC.test(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const [, indent, marker, language] = fence;
+            const closing = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+                i++;
+            }
+            i++;
+            blocks.push(renderCodeBlock(code.join('\n'), language));
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            blocks.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = parseList(lines, i);
+            blocks.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const rows = [line, lines[i + 1]];
+            i += 2;
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                rows.push(lines[i]);
+                i++;
+            }
+            blocks.push(renderTable(rows));
+            continue;
+        }
+
+        if (HTML_BLOCK.test(line)) {
+            const raw = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                raw.push(lines[i]);
+                i++;
+            }
+            blocks.push(sanitizeHtml(raw.join('\n')));
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+            if (/^ {0,3}=+[ \t]*$/.test(lines[i]) || /^ {0,3}-+[ \t]*$/.test(lines[i])) {
+                break;
+            }
+            paragraph.push(lines[i].replace(/^[ \t]+/, ''));
+            i++;
+        }
+
+        // Setext headings: a paragraph underlined with === or ---
+        if (i < lines.length && /^ {0,3}(=+|-+)[ \t]*$/.test(lines[i])) {
+            const level = lines[i].trim()[0] === '=' ? 1 : 2;
+            blocks.push(`<h${level}>${renderInline(paragraph.join('\n'))}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        const content = renderInline(paragraph.join('\n').replace(/[ \t]+$/, ''));
+        blocks.push(tight ? content : `<p>${content}</p>`);
+    }
+
+    return blocks.join('\n');
+}
+
+function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return renderBlocks(lines);
+}
+
+module.exports = {
+    renderInline,
+    renderMarkdown
+};
@@ -0,0 +1,99 @@
+/**
+ * @file metadata.js
+ * @description Per-problem metadata.json reading and writing
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const METADATA_FILE = 'metadata.json';
+const METADATA_VERSION = 1;
+
+function parseJsonField(value, fallback = null) {
+    if (!value) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+function buildMetadata(problem, questionData, url, site = 'com') {
+    const stats = parseJsonField(questionData.stats, {});
+    const similarQuestions = parseJsonField(questionData.similarQuestions, []);
+    const exampleTestcases = questionData.exampleTestcaseList && questionData.exampleTestcaseList.length > 0
+        ? questionData.exampleTestcaseList
+        : (questionData.exampleTestcases || questionData.sampleTestCase || '').split('\n').filter(Boolean);
+
+    return {
+        version: METADATA_VERSION,
+        id: problem.id,
+        questionId: questionData.questionId,
+        slug: problem.slug,
+        name: problem.name,
+        translatedTitle: questionData.translatedTitle || null,
+        url,
+        site,
+        difficulty: questionData.difficulty || problem.difficulty,
+        category: questionData.categoryTitle || 'algorithms',
+        paidOnly: Boolean(problem.locked),
+        likes: questionData.likes || 0,
+        dislikes: questionData.dislikes || 0,
+        tags: (questionData.topicTags || []).map(t => ({ name: t.name, slug: t.slug })),
+        companies: (questionData.companyTags || []).map(c => ({ name: c.name, slug: c.slug })),
+        languages: (questionData.codeSnippets || []).map(s => s.langSlug),
+        hints: questionData.hints || [],
+        similarQuestions: similarQuestions.map(q => ({
+            title: q.title,
+            slug: q.titleSlug,
+            difficulty: q.difficulty
+        })),
+        exampleTestcases,
+        metaData: parseJsonField(questionData.metaData),
+        stats: {
+            acceptanceRate: stats.acRate || null,
+            totalAccepted: stats.totalAcceptedRaw || null,
+            totalSubmissions: stats.totalSubmissionRaw || null
+        },
+        contentHash: hashContent(questionData.content),
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+async function writeMetadata(problemPath, metadata) {
+    await fs.writeJson(path.join(problemPath, METADATA_FILE), metadata, { spaces: 2 });
+}
+
+async function readMetadata(problemPath) {
+    const metadataPath = path.join(problemPath, METADATA_FILE);
+    if (!await fs.pathExists(metadataPath)) {
+        return null;
+    }
+
+    try {
+        const metadata = await fs.readJson(metadataPath);
+        if (!metadata || typeof metadata.version !== 'number' || metadata.version > METADATA_VERSION) {
+            return null;
+        }
+        return metadata;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    METADATA_FILE,
+    METADATA_VERSION,
+    hashContent,
+    buildMetadata,
+    writeMetadata,
+    readMetadata
+};
@@ -7,8 +7,9 @@
 
 const http = require('http');
 const url = require('url');
+const { getSiteConfig } = require('./site');
 
-function startOAuthServer(port = 8000) {
+function startOAuthServer(port = 8000, site = getSiteConfig()) {
     return new Promise((resolve, reject) => {
         let server;
         const connections = new Set();
@@ -27,13 +28,13 @@ function startOAuthServer(port = 8000) {
             if (parsedUrl.pathname === '/callback') {
                 let cookie = parsedUrl.query.cookie;
 
-                if (cookie && cookie.startsWith('LEETCODE_SESSION=')) {
-                    cookie = cookie.substring('LEETCODE_SESSION='.length);
+                if (cookie && cookie.startsWith(`${site.sessionCookie}=`)) {
+                    cookie = cookie.substring(site.sessionCookie.length + 1);
                 }
 
                 if (cookie) {
                     res.writeHead(302, {
-                        'Location': 'https://leetcode.com',
+                        'Location': site.baseUrl,
                         'Content-Type': 'text/plain'
                     });
                     res.end('Redirecting...');
@@ -47,7 +48,7 @@ function startOAuthServer(port = 8000) {
                     }, 100);
                 } else {
                     res.writeHead(302, {
-                        'Location': 'https://leetcode.com',
+                        'Location': site.baseUrl,
                         'Content-Type': 'text/plain'
                     });
                     res.end('Redirecting...');
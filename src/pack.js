@@ -9,6 +9,8 @@ const path = require('path');
 const fs = require('fs-extra');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { emitSummary } = require('./events');
+const { log } = require('./logger');
 
 const execAsync = promisify(exec);
 const workDir = process.cwd();
@@ -25,14 +27,15 @@ function parsePackArgs(startIndex = 2, customArgs = null) {
     const args = customArgs || process.argv.slice(startIndex);
     const config = {
         sourceDir: null,
-        output: null
+        output: null,
+        dryRun: false
     };
 
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
 
         if (arg === '--help' || arg === '-h') {
-            console.log(`
+            log.print(`
 LeetCode Problems Packer
 
 Usage: leetcode-fetch pack [options]
@@ -42,12 +45,14 @@ Options:
                            Example: -s data/leetcode-problems-251216
   --output, -o <filename>  Output filename (default: leetcode-problems-backup-YYMMDD.zip)
                            Example: -o my-backup.zip
+  --dry-run                Show what would be archived without creating the zip
   --help, -h               Show this help message
 
 Examples:
   leetcode-fetch pack
   leetcode-fetch pack -s data/downloads
   leetcode-fetch pack -s data/my-dataset -o my-backup.zip
+  leetcode-fetch pack --dry-run
 
 Note:
   The zip file will be created in the current directory.
@@ -58,6 +63,8 @@ Note:
             config.sourceDir = args[++i];
         } else if (arg === '--output' || arg === '-o') {
             config.output = args[++i];
+        } else if (arg === '--dry-run') {
+            config.dryRun = true;
         }
     }
 
@@ -72,44 +79,76 @@ function formatBytes(bytes) {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
 
-async function getDirectorySize(dirPath) {
-    let totalSize = 0;
+// lstat, so the by-tag/ and by-company/ symlinks count once as links, like zip -y stores them
+async function getDirectoryStats(dirPath) {
+    const stats = { files: 0, bytes: 0 };
 
     async function walk(dir) {
         const files = await fs.readdir(dir);
 
         for (const file of files) {
             const filePath = path.join(dir, file);
-            const stat = await fs.stat(filePath);
+            const stat = await fs.lstat(filePath);
 
             if (stat.isDirectory()) {
                 await walk(filePath);
             } else {
-                totalSize += stat.size;
+                stats.files++;
+                stats.bytes += stat.size;
             }
         }
     }
 
     await walk(dirPath);
-    return totalSize;
+    return stats;
+}
+
+async function getDirectorySize(dirPath) {
+    return (await getDirectoryStats(dirPath)).bytes;
+}
+
+async function displayPackPlan(sourceDirPath, outputFile) {
+    log.info('\x1b[1mPack Plan\x1b[0m \x1b[2m(dry run, no archive is created)\x1b[0m');
+
+    const entries = (await fs.readdir(sourceDirPath)).sort();
+    const total = { files: 0, bytes: 0 };
+    const sourceDirName = path.basename(sourceDirPath);
+
+    for (const entry of entries) {
+        const entryPath = path.join(sourceDirPath, entry);
+        const stat = await fs.lstat(entryPath);
+        const stats = stat.isDirectory() ? await getDirectoryStats(entryPath) : { files: 1, bytes: stat.size };
+        total.files += stats.files;
+        total.bytes += stats.bytes;
+
+        const name = stat.isDirectory() ? `${entry}/` : entry;
+        log.info(`  ${sourceDirName}/${name}  \x1b[2m${stats.files} files, ${formatBytes(stats.bytes)}\x1b[0m`);
+    }
+
+    log.info('\n\x1b[1mDry Run Summary\x1b[0m');
+    log.info(`\x1b[2m  Total files:\x1b[0m ${total.files}`);
+    log.info(`\x1b[2m  Total size:\x1b[0m ${formatBytes(total.bytes)} (before compression)`);
+    log.info(`\x1b[2m  Would write:\x1b[0m ${outputFile}\n`);
+
+    emitSummary({ dryRun: true, source: sourceDirPath, output: outputFile, files: total.files, bytes: total.bytes });
 }
 
 async function createArchive(sourceDir, outputFile) {
-    console.log('\x1b[36m›\x1b[0m Creating zip archive...');
+    log.info('\x1b[36m›\x1b[0m Creating zip archive...');
 
     const sourceDirName = path.basename(sourceDir);
     const parentDir = path.dirname(sourceDir);
 
     try {
         const { stdout, stderr } = await execAsync(
-            `cd "${parentDir}" && zip -r -q "${path.resolve(outputFile)}" "${sourceDirName}"`,
+            `cd "${parentDir}" && zip -r -y -q "${path.resolve(outputFile)}" "${sourceDirName}"`,
             {
                 maxBuffer: 1024 * 1024 * 10
             }
         );
 
         if (stderr) {
-            console.log(`\x1b[33m⚠\x1b[0m  ${stderr}`);
+            log.warn(`\x1b[33m⚠\x1b[0m  ${stderr}`);
         }
 
         return true;
@@ -125,50 +164,60 @@ async function main(startIndex = 2, customArgs = null) {
     const sourceDirPath = path.join(workDir, sourceDir);
 
     if (!await fs.pathExists(sourceDirPath)) {
-        console.log(`\n\x1b[31m✗\x1b[0m Source directory not found: ${sourceDir}`);
-        console.log('\x1b[2m  Please check the path or run download first\x1b[0m\n');
+        log.error(`\n\x1b[31m✗\x1b[0m Source directory not found: ${sourceDir}`);
+        log.error('\x1b[2m  Please check the path or run download first\x1b[0m\n');
         process.exit(1);
     }
 
     const defaultOutputName = `leetcode-problems-backup-${getDateString()}.zip`;
     const outputFile = path.join(workDir, config.output || defaultOutputName);
 
+    // zip adds to an existing archive, so pack into a temp file and only replace
+    // the previous backup once the new one is complete
+    const tempFile = `${outputFile}.${process.pid}.tmp.zip`;
+
     if (await fs.pathExists(outputFile)) {
-        console.log('\n\x1b[33m⚠\x1b[0m  Output file already exists');
-        console.log(`\x1b[2m  ${outputFile}\x1b[0m`);
-        console.log('\x1b[2m  It will be overwritten\x1b[0m\n');
-        await fs.remove(outputFile);
+        log.warn('\n\x1b[33m⚠\x1b[0m  Output file already exists');
+        log.warn(`\x1b[2m  ${outputFile}\x1b[0m`);
+        log.warn(`\x1b[2m  It ${config.dryRun ? 'would be' : 'will be'} overwritten\x1b[0m\n`);
     }
 
-    console.log('\n\x1b[1mPack Configuration\x1b[0m');
-    console.log(`\x1b[2m  Source:\x1b[0m ${sourceDirPath}`);
-    console.log(`\x1b[2m  Output:\x1b[0m ${outputFile}`);
-    console.log('');
+    log.info('\n\x1b[1mPack Configuration\x1b[0m');
+    log.info(`\x1b[2m  Source:\x1b[0m ${sourceDirPath}`);
+    log.info(`\x1b[2m  Output:\x1b[0m ${outputFile}`);
+    log.info('');
+
+    if (config.dryRun) {
+        await displayPackPlan(sourceDirPath, outputFile);
+        return;
+    }
 
     try {
-        console.log('\x1b[36m›\x1b[0m Calculating source size...');
+        log.info('\x1b[36m›\x1b[0m Calculating source size...');
         const sourceSize = await getDirectorySize(sourceDirPath);
-        console.log(`  Source size: ${formatBytes(sourceSize)}`);
-        console.log('');
+        log.info(`  Source size: ${formatBytes(sourceSize)}`);
+        log.info('');
 
-        await createArchive(sourceDirPath, outputFile);
+        await createArchive(sourceDirPath, tempFile);
+        await fs.move(tempFile, outputFile, { overwrite: true });
 
         const archiveStats = await fs.stat(outputFile);
         const archiveSize = formatBytes(archiveStats.size);
         const compressionRatio = ((1 - archiveStats.size / sourceSize) * 100).toFixed(1);
 
-        console.log('\n\x1b[32m✓\x1b[0m Archive created successfully');
-        console.log(`\x1b[2m  File:\x1b[0m ${outputFile}`);
-        console.log(`\x1b[2m  Size:\x1b[0m ${archiveSize}`);
-        console.log(`\x1b[2m  Compression:\x1b[0m ${compressionRatio}%`);
-        console.log('\n\x1b[2m  You can now upload this file to Google Drive\x1b[0m\n');
+        log.info('\n\x1b[32m✓\x1b[0m Archive created successfully');
+        log.info(`\x1b[2m  File:\x1b[0m ${outputFile}`);
+        log.info(`\x1b[2m  Size:\x1b[0m ${archiveSize}`);
+        log.info(`\x1b[2m  Compression:\x1b[0m ${compressionRatio}%`);
+        log.info('\n\x1b[2m  You can now upload this file to Google Drive\x1b[0m\n');
+        emitSummary({ source: sourceDirPath, output: outputFile, sourceBytes: sourceSize, bytes: archiveStats.size });
 
     } catch (error) {
-        console.log(`\n\x1b[31m✗\x1b[0m Pack failed`);
-        console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+        log.error(`\n\x1b[31m✗\x1b[0m Pack failed`);
+        log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
 
-        if (await fs.pathExists(outputFile)) {
-            await fs.remove(outputFile);
+        if (await fs.pathExists(tempFile)) {
+            await fs.remove(tempFile);
         }
 
         process.exit(1);
@@ -181,8 +230,8 @@ if (require.main === module) {
             await main();
             process.exit(0);
         } catch (error) {
-            console.log(`\n\x1b[31m✗\x1b[0m Pack error`);
-            console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            log.error(`\n\x1b[31m✗\x1b[0m Pack error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
             process.exit(1);
         }
     })();
@@ -0,0 +1,215 @@
+/**
+ * @file page-template.js
+ * @description Mustache-style templates for problem.html and problem.md, with the built-in layouts as defaults
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', 'page-templates');
+const DEFAULT_TEMPLATES = {
+    html: path.join(DEFAULT_TEMPLATE_DIR, 'problem.html'),
+    md: path.join(DEFAULT_TEMPLATE_DIR, 'problem.md')
+};
+
+// {{{name}}} is accepted as well, for templates written for other mustache renderers
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+const defaults = {};
+
+// {{name}} is escaped for where it appears: HTML in problem.html, YAML in the front matter of
+// problem.md. The rest of problem.md is Markdown and is left alone, and {{{name}}} never escapes.
+const ESCAPERS = {
+    html: text => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;'),
+    yaml: text => (typeof text === 'number' || typeof text === 'boolean' ? String(text) : JSON.stringify(String(text))),
+    yamlDouble: text => JSON.stringify(String(text)).slice(1, -1),
+    yamlSingle: text => String(text).replace(/'/g, "''")
+};
+
+// Where the front matter of a Markdown template ends, or 0 when it has none
+function frontMatterEnd(text) {
+    const open = /^---[ \t]*\r?\n/.exec(text);
+    if (!open) return 0;
+    const close = /^(?:---|\.\.\.)[ \t]*$/m.exec(text.slice(open[0].length));
+    return close ? open[0].length + close.index : 0;
+}
+
+// The quote a YAML value is already inside, e.g. title: "{{id}}. {{name}}"
+function yamlQuote(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote === '"' && char === '\\') {
+            i++;
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if ((char === '"' || char === "'") && (i === 0 || /[\s:\[{,-]/.test(line[i - 1]))) {
+            quote = char;
+        }
+    }
+    return quote;
+}
+
+function escapeFor(format, text, index, yamlEnd) {
+    if (format === 'html') return 'html';
+    if (index >= yamlEnd) return null;
+    const quote = yamlQuote(text.slice(text.lastIndexOf('\n', index - 1) + 1, index));
+    return quote === '"' ? 'yamlDouble' : quote === "'" ? 'yamlSingle' : 'yaml';
+}
+
+function lineNumber(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+// Section, inverted, closing and comment tags on a line of their own leave no blank line behind.
+// format ('html' or 'md') decides how {{name}} values are escaped
+function compileTemplate(text, source = 'template', format = null) {
+    const root = { children: [] };
+    const yamlEnd = format === 'md' ? frontMatterEnd(text) : 0;
+    const stack = [root];
+    let position = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+        const raw = match[1] !== undefined;
+        const type = raw ? '' : match[2];
+        const name = match[1] !== undefined ? match[1] : match[3];
+        let textEnd = match.index;
+        let next = TAG_PATTERN.lastIndex;
+
+        if (type) {
+            const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+            const newline = text.indexOf('\n', next);
+            const lineEnd = newline === -1 ? text.length : newline;
+            if (lineStart >= position && !text.slice(lineStart, match.index).trim() && !text.slice(next, lineEnd).trim()) {
+                textEnd = lineStart;
+                next = newline === -1 ? text.length : newline + 1;
+            }
+        }
+
+        const current = stack[stack.length - 1];
+        if (textEnd > position) {
+            current.children.push({ type: 'text', text: text.slice(position, textEnd) });
+        }
+        position = next;
+        TAG_PATTERN.lastIndex = next;
+
+        if (type === '!') continue;
+        if (!name) {
+            throw new Error(`${source}:${lineNumber(text, match.index)}: empty tag ${match[0]}`);
+        }
+
+        if (type === '#' || type === '^') {
+            const section = { type: type === '#' ? 'section' : 'inverted', name, line: lineNumber(text, match.index), children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`${source}:${lineNumber(text, match.index)}: unexpected {{/${name}}}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'value', name, escape: raw ? null : escapeFor(format, text, match.index, yamlEnd) });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`${source}:${open.line}: {{#${open.name}}} is never closed`);
+    }
+    if (position < text.length) {
+        root.children.push({ type: 'text', text: text.slice(position) });
+    }
+    return root.children;
+}
+
+function lookup(contexts, name) {
+    if (name === '.') {
+        return contexts[contexts.length - 1];
+    }
+
+    const [head, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && head in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+        }
+    }
+    return undefined;
+}
+
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function renderNodes(nodes, contexts) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.text;
+        } else if (node.type === 'value') {
+            const value = lookup(contexts, node.name);
+            if (value !== null && value !== undefined) {
+                const text = Array.isArray(value) ? value.join(', ') : value;
+                output += node.escape ? ESCAPERS[node.escape](text) : String(text);
+            }
+        } else {
+            const value = lookup(contexts, node.name);
+            if (node.type === 'inverted') {
+                if (isEmpty(value)) output += renderNodes(node.children, contexts);
+            } else if (Array.isArray(value)) {
+                for (const item of value) {
+                    output += renderNodes(node.children, [...contexts, item]);
+                }
+            } else if (!isEmpty(value)) {
+                output += renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+            }
+        }
+    }
+    return output;
+}
+
+function renderTemplate(template, view) {
+    return renderNodes(template, [view]);
+}
+
+async function loadTemplate(filePath, format) {
+    let text;
+    try {
+        text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read template ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+    return compileTemplate(text, filePath, format);
+}
+
+function getDefaultTemplate(format) {
+    if (!defaults[format]) {
+        defaults[format] = compileTemplate(fs.readFileSync(DEFAULT_TEMPLATES[format], 'utf8'), DEFAULT_TEMPLATES[format], format);
+    }
+    return defaults[format];
+}
+
+// Custom --html-template / --md-template files, falling back to the built-in layouts
+async function loadPageTemplates({ html = null, md = null } = {}) {
+    return {
+        html: html ? await loadTemplate(path.resolve(html), 'html') : getDefaultTemplate('html'),
+        md: md ? await loadTemplate(path.resolve(md), 'md') : getDefaultTemplate('md')
+    };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    compileTemplate,
+    renderTemplate,
+    getDefaultTemplate,
+    loadPageTemplates
+};
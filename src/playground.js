@@ -0,0 +1,46 @@
+/**
+ * @file playground.js
+ * @description Find LeetCode playground embeds in official solutions and replace them with fenced code blocks
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const { codeFence } = require('./html-markdown');
+const { resolveLanguage } = require('./highlight');
+
+// <iframe src="https://leetcode.com/playground/8QPE3Ua2/shared" ...></iframe>, with or without the host
+const PLAYGROUND_EMBED = /<iframe\b[^>]*?\bsrc\s*=\s*["'](?:https?:\/\/(?:www\.)?leetcode\.(?:com|cn))?\/playground\/([A-Za-z0-9]+)\/shared\/?(?:[?#][^"']*)?["'][^>]*>\s*(?:<\/iframe>)?/gi;
+
+function findPlaygroundEmbeds(content) {
+    const uuids = new Set();
+    for (const match of String(content || '').matchAll(PLAYGROUND_EMBED)) {
+        uuids.add(match[1]);
+    }
+    return [...uuids];
+}
+
+// One labeled block per language tab, in the playground's own order
+function renderPlaygroundCode(codes) {
+    return codes
+        .filter(entry => entry && entry.code)
+        .map(entry => `**${entry.langSlug}**\n\n${codeFence(entry.code.replace(/\s+$/, ''), resolveLanguage(entry.langSlug) || entry.langSlug || '')}`)
+        .join('\n\n');
+}
+
+// resolved maps a playground uuid to its Markdown; embeds without an entry are left as they are.
+// Code fences need lines of their own, so an embed in the middle of a line is split off.
+function replacePlaygroundEmbeds(content, resolved) {
+    return content.replace(PLAYGROUND_EMBED, (match, uuid, offset, text) => {
+        if (!resolved.has(uuid)) return match;
+        const end = offset + match.length;
+        const before = offset === 0 || text[offset - 1] === '\n' ? '' : '\n\n';
+        const after = end === text.length || text[end] === '\n' ? '' : '\n\n';
+        return `${before}${resolved.get(uuid)}${after}`;
+    });
+}
+
+module.exports = {
+    findPlaygroundEmbeds,
+    renderPlaygroundCode,
+    replacePlaygroundEmbeds
+};
@@ -0,0 +1,73 @@
+/**
+ * @file problem-list-cache.js
+ * @description On-disk cache of the LeetCode problem list inside a dataset
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const CACHE_FILE = '.problem-list.json';
+const CACHE_VERSION = 1;
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+function getCacheKey(filters = {}) {
+    const sorted = {};
+    for (const key of Object.keys(filters).sort()) {
+        sorted[key] = filters[key];
+    }
+    return JSON.stringify(sorted);
+}
+
+async function readCache(datasetPath) {
+    const cachePath = path.join(datasetPath, CACHE_FILE);
+    if (!await fs.pathExists(cachePath)) {
+        return { version: CACHE_VERSION, lists: {} };
+    }
+
+    try {
+        const data = await fs.readJson(cachePath);
+        if (data && data.version === CACHE_VERSION && data.lists) {
+            return data;
+        }
+    } catch (error) {
+        return { version: CACHE_VERSION, lists: {} };
+    }
+    return { version: CACHE_VERSION, lists: {} };
+}
+
+async function loadProblemList(datasetPath, filters = {}, ttl = DEFAULT_TTL) {
+    const cache = await readCache(datasetPath);
+    const list = cache.lists[getCacheKey(filters)];
+    if (!list) {
+        return null;
+    }
+
+    const age = Date.now() - new Date(list.fetchedAt).getTime();
+    if (ttl !== Infinity && !(age < ttl)) {
+        return null;
+    }
+
+    return { problems: list.problems, fetchedAt: list.fetchedAt };
+}
+
+async function saveProblemList(datasetPath, filters, problems) {
+    const cache = await readCache(datasetPath);
+    cache.lists[getCacheKey(filters)] = {
+        fetchedAt: new Date().toISOString(),
+        problems
+    };
+
+    const cachePath = path.join(datasetPath, CACHE_FILE);
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, cache, { spaces: 2 });
+    await fs.rename(tempPath, cachePath);
+}
+
+module.exports = {
+    CACHE_FILE,
+    DEFAULT_TTL,
+    loadProblemList,
+    saveProblemList
+};
@@ -0,0 +1,260 @@
+/**
+ * @file rebuild.js
+ * @description Regenerate problem.html, problem.md and the html-bundle page from the stored problem.raw.txt and metadata.json, without network access
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { processHtmlBody, saveProblemHtml, saveProblemMarkdown, saveProblemBundle } = require('./download');
+const { convertHtmlToMarkdown } = require('./html-markdown');
+const { loadPageTemplates } = require('./page-template');
+const { readMetadata } = require('./metadata');
+const { findProblemFolders, loadIndex } = require('./dataset-index');
+const { loadDatasetConfig } = require('./layout');
+const { openImageStore } = require('./image-store');
+const { getSiteConfig } = require('./site');
+const { BUNDLE_FILE } = require('./html-bundle');
+const { emit, emitSummary } = require('./events');
+const { log } = require('./logger');
+
+const workDir = process.cwd();
+
+const REBUILD_FILES = {
+    'html': 'problem.html',
+    'md': 'problem.md',
+    'html-bundle': BUNDLE_FILE
+};
+
+function parseRebuildArgs(startIndex = 2, customArgs = null) {
+    const args = customArgs || process.argv.slice(startIndex);
+    const config = {
+        dataDir: null,
+        formats: null,
+        htmlTemplate: null,
+        mdTemplate: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            log.print(`
+LeetCode Problem Rebuilder
+
+Usage: leetcode-fetch rebuild [options]
+
+Options:
+  --data-dir, -d <path>    Dataset directory (default: data/downloads)
+                           Example: -d data/leetcode-problems-251216
+  --formats, -f <formats>  Comma-separated formats to regenerate: html,md,html-bundle
+                           Default: the formats each problem already has
+  --html-template <file>   Render problem.html from this template (see download --help)
+  --md-template <file>     Render problem.md from this template
+  --help, -h               Show this help message
+
+Examples:
+  leetcode-fetch rebuild
+  leetcode-fetch rebuild -d data/my-dataset
+  leetcode-fetch rebuild -f md
+  leetcode-fetch rebuild --md-template docs/problem.md
+
+Note:
+  Regenerates description/problem.html, problem.md and ${BUNDLE_FILE} from
+  problem.raw.txt and metadata.json, so converter, layout or template changes
+  reach old datasets without downloading again. Nothing is fetched: images already on
+  disk or in the dataset's image store are used, others keep their remote URL.
+  Problems without problem.raw.txt or metadata.json are skipped, and the
+  Chinese translations (problem.zh.*) are left as they are.
+            `);
+            process.exit(0);
+        } else if (arg === '--data-dir' || arg === '-d') {
+            config.dataDir = args[++i];
+        } else if (arg === '--formats' || arg === '-f') {
+            config.formats = args[++i].split(',').map(f => f.trim().toLowerCase());
+            const invalid = config.formats.filter(f => !REBUILD_FILES[f]);
+            if (invalid.length > 0) {
+                throw new Error(`Invalid --formats value: ${invalid.join(', ')}. Valid formats: ${Object.keys(REBUILD_FILES).join(', ')}`);
+            }
+        } else if (arg === '--html-template') {
+            config.htmlTemplate = args[++i];
+        } else if (arg === '--md-template') {
+            config.mdTemplate = args[++i];
+        }
+    }
+
+    return config;
+}
+
+async function rebuildProblem(problemPath, formats, imageStore, templates) {
+    const descriptionPath = path.join(problemPath, 'description');
+    const rawPath = path.join(descriptionPath, 'problem.raw.txt');
+
+    if (!await fs.pathExists(rawPath)) {
+        return { rebuilt: false, reason: 'no problem.raw.txt' };
+    }
+    const metadata = await readMetadata(problemPath);
+    if (!metadata) {
+        return { rebuilt: false, reason: 'no metadata.json' };
+    }
+
+    const targets = [];
+    for (const format of formats || Object.keys(REBUILD_FILES)) {
+        if (formats || await fs.pathExists(path.join(descriptionPath, REBUILD_FILES[format]))) {
+            targets.push(format);
+        }
+    }
+    if (targets.length === 0) {
+        return { rebuilt: false, reason: 'no rendered description' };
+    }
+
+    const bodyHtml = await fs.readFile(rawPath, 'utf8');
+    const baseUrl = getSiteConfig(metadata.site).baseUrl;
+    const { html: processedHtml, imageMap } = await processHtmlBody(bodyHtml, problemPath, '', imageStore, {
+        offline: true,
+        baseUrl,
+        imageFiles: metadata.descriptionImages || null
+    });
+
+    const problem = {
+        id: metadata.id,
+        name: metadata.name,
+        url: metadata.url,
+        category: metadata.category,
+        difficulty: metadata.difficulty,
+        likes: metadata.likes,
+        dislikes: metadata.dislikes,
+        // Slugs, as download renders them
+        tags: (metadata.tags || []).map(t => t.slug),
+        companies: (metadata.companies || []).map(c => c.slug)
+    };
+
+    if (targets.includes('html')) {
+        await saveProblemHtml({ ...problem, body: processedHtml }, problemPath, 'problem.html', templates.html);
+    }
+    if (targets.includes('md')) {
+        await saveProblemMarkdown({
+            ...problem,
+            body: convertHtmlToMarkdown(bodyHtml, { imageMap, baseUrl })
+        }, problemPath, 'problem.md', templates.md);
+    }
+    if (targets.includes('html-bundle')) {
+        await saveProblemBundle({ ...problem, body: processedHtml }, problemPath);
+    }
+
+    const remoteImages = [...imageMap.values()].filter(src => /^https?:\/\//.test(src)).length;
+    return { rebuilt: true, id: metadata.id, formats: targets, remoteImages };
+}
+
+async function main(startIndex = 2, customArgs = null) {
+    let config;
+    let templates;
+    try {
+        config = parseRebuildArgs(startIndex, customArgs);
+        templates = await loadPageTemplates({ html: config.htmlTemplate, md: config.mdTemplate });
+    } catch (error) {
+        log.error(`\n\x1b[31m✗\x1b[0m ${error.message}\n`);
+        process.exit(1);
+    }
+
+    const dataDir = config.dataDir || 'data/downloads';
+    const dataDirPath = path.join(workDir, dataDir);
+
+    if (!await fs.pathExists(dataDirPath)) {
+        log.error(`\n\x1b[31m✗\x1b[0m Dataset directory not found: ${dataDir}`);
+        log.error('\x1b[2m  Please check the path or run download first\x1b[0m\n');
+        process.exit(1);
+    }
+
+    const { layout, imageStore: imageStoreMode } = await loadDatasetConfig(dataDirPath);
+    const imageStore = imageStoreMode ? await openImageStore(dataDirPath, imageStoreMode) : null;
+    const index = await loadIndex(dataDirPath);
+
+    log.info('\n\x1b[1mRebuild Configuration\x1b[0m');
+    log.info(`\x1b[2m  Dataset:\x1b[0m ${dataDirPath}`);
+    log.info(`\x1b[2m  Formats:\x1b[0m ${config.formats ? config.formats.join(', ') : 'existing'}`);
+    if (config.htmlTemplate || config.mdTemplate) {
+        log.info(`\x1b[2m  Page templates:\x1b[0m ${[config.htmlTemplate, config.mdTemplate].filter(Boolean).join(', ')}`);
+    }
+    if (imageStore) {
+        log.info(`\x1b[2m  Image store:\x1b[0m ${imageStoreMode}`);
+    }
+    log.info('');
+
+    log.info('\x1b[36m›\x1b[0m Scanning problem folders...');
+    const folders = await findProblemFolders(dataDirPath, layout);
+
+    let rebuilt = 0;
+    let remoteImages = 0;
+    const skipped = {};
+    const failed = [];
+
+    for (let i = 0; i < folders.length; i++) {
+        const relativePath = path.relative(dataDirPath, folders[i]).split(path.sep).join('/');
+        try {
+            const result = await rebuildProblem(folders[i], config.formats, imageStore, templates);
+            if (result.rebuilt) {
+                rebuilt++;
+                remoteImages += result.remoteImages;
+                if (index) {
+                    await index.update(result.id, folders[i]);
+                }
+                emit('problem-rebuilt', { id: result.id, path: relativePath, formats: result.formats, remoteImages: result.remoteImages });
+            } else {
+                skipped[result.reason] = (skipped[result.reason] || 0) + 1;
+                log.debug(`  Skipped ${relativePath}: ${result.reason}`);
+            }
+        } catch (error) {
+            log.clearLine();
+            log.error(`\x1b[31m✗\x1b[0m ${relativePath}: ${error.message}`);
+            failed.push({ path: relativePath, error: error.message });
+        }
+
+        if ((i + 1) % 100 === 0 || i + 1 === folders.length) {
+            log.progress(`\x1b[2m  Rebuilt ${i + 1}/${folders.length} problems...\x1b[0m`);
+        }
+    }
+    log.clearLine();
+
+    if (imageStore) {
+        await imageStore.save();
+    }
+
+    const skippedCount = Object.values(skipped).reduce((sum, count) => sum + count, 0);
+
+    log.info(`\n${failed.length > 0 ? '\x1b[33m⚠\x1b[0m Rebuild finished with errors' : '\x1b[32m✓\x1b[0m Rebuild complete'}`);
+    log.info(`\x1b[2m  Rebuilt:\x1b[0m ${rebuilt}`);
+    for (const [reason, count] of Object.entries(skipped)) {
+        log.info(`\x1b[2m  Skipped (${reason}):\x1b[0m ${count}`);
+    }
+    if (failed.length > 0) {
+        log.info(`\x1b[2m  Failed:\x1b[0m \x1b[31m${failed.length}\x1b[0m`);
+    }
+    if (remoteImages > 0) {
+        log.info(`\x1b[2m  Images not on disk (remote URL kept):\x1b[0m \x1b[33m${remoteImages}\x1b[0m`);
+    }
+    log.info('');
+    emitSummary({ ok: failed.length === 0, rebuilt, skipped: skippedCount, failed, remoteImages });
+
+    if (failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            await main();
+            process.exit(process.exitCode || 0);
+        } catch (error) {
+            log.error(`\n\x1b[31m✗\x1b[0m Rebuild error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    main
+};
@@ -0,0 +1,104 @@
+/**
+ * @file reindex.js
+ * @description Rebuild a dataset's index.json from its folder tree
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { INDEX_FILE, rebuildIndex } = require('./dataset-index');
+const { emitSummary } = require('./events');
+const { log } = require('./logger');
+
+const workDir = process.cwd();
+
+function parseReindexArgs(startIndex = 2, customArgs = null) {
+    const args = customArgs || process.argv.slice(startIndex);
+    const config = {
+        dataDir: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            log.print(`
+LeetCode Dataset Reindexer
+
+Usage: leetcode-fetch reindex [options]
+
+Options:
+  --data-dir, -d <path>    Dataset directory (default: data/downloads)
+                           Example: -d data/leetcode-problems-251216
+  --help, -h               Show this help message
+
+Examples:
+  leetcode-fetch reindex
+  leetcode-fetch reindex -d data/my-dataset
+
+Note:
+  Rebuilds ${INDEX_FILE} from the problem folders on disk. Use it for datasets
+  downloaded by older versions or after moving problem folders by hand.
+            `);
+            process.exit(0);
+        } else if (arg === '--data-dir' || arg === '-d') {
+            config.dataDir = args[++i];
+        }
+    }
+
+    return config;
+}
+
+async function main(startIndex = 2, customArgs = null) {
+    const config = parseReindexArgs(startIndex, customArgs);
+
+    const dataDir = config.dataDir || 'data/downloads';
+    const dataDirPath = path.join(workDir, dataDir);
+
+    if (!await fs.pathExists(dataDirPath)) {
+        log.error(`\n\x1b[31m✗\x1b[0m Dataset directory not found: ${dataDir}`);
+        log.error('\x1b[2m  Please check the path or run download first\x1b[0m\n');
+        process.exit(1);
+    }
+
+    log.info('\n\x1b[1mReindex Configuration\x1b[0m');
+    log.info(`\x1b[2m  Dataset:\x1b[0m ${dataDirPath}`);
+    log.info('');
+
+    log.info('\x1b[36m›\x1b[0m Scanning problem folders...');
+    const index = await rebuildIndex(dataDirPath, (done, total) => {
+        if (done % 100 === 0 || done === total) {
+            log.progress(`\x1b[2m  Indexed ${done}/${total} problems...\x1b[0m`);
+        }
+    });
+    log.clearLine();
+
+    const entries = Object.values(index.problems);
+    const withMetadata = entries.filter(e => e.slug).length;
+
+    log.info('\n\x1b[32m✓\x1b[0m Index rebuilt');
+    log.info(`\x1b[2m  Problems:\x1b[0m ${entries.length}`);
+    if (withMetadata < entries.length) {
+        log.info(`\x1b[2m  Without metadata.json:\x1b[0m \x1b[33m${entries.length - withMetadata}\x1b[0m`);
+    }
+    log.info(`\x1b[2m  Saved to:\x1b[0m ${path.join(dataDirPath, INDEX_FILE)}\n`);
+    emitSummary({ problems: entries.length, withoutMetadata: entries.length - withMetadata, index: path.join(dataDirPath, INDEX_FILE) });
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            await main();
+            process.exit(0);
+        } catch (error) {
+            log.error(`\n\x1b[31m✗\x1b[0m Reindex error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    main
+};
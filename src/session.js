@@ -8,7 +8,9 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const axios = require('axios');
+const http = require('./http');
+const { DEFAULT_SITE, getSiteConfig, getCookieHeader } = require('./site');
+const { log } = require('./logger');
 
 const SESSION_FILE = path.join(os.homedir(), '.lc', 'leetcode', 'user.json');
 
@@ -29,7 +31,7 @@ function getSessionCookies() {
             csrf: userData.sessionCSRF
         };
     } catch (error) {
-        console.error('Warning: Could not read session cookies:', error.message);
+        log.warn('Warning: Could not read session cookies:', error.message);
         return null;
     }
 }
@@ -45,7 +47,7 @@ function saveSession(data) {
         fs.writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2), 'utf8');
         return true;
     } catch (error) {
-        console.error('Error saving session:', error.message);
+        log.error('Error saving session:', error.message);
         return false;
     }
 }
@@ -57,7 +59,7 @@ function clearSession() {
         }
         return true;
     } catch (error) {
-        console.error('Error clearing session:', error.message);
+        log.error('Error clearing session:', error.message);
         return false;
     }
 }
@@ -71,14 +73,28 @@ function getUser() {
         const userData = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
         return {
             name: userData.name || 'Unknown',
-            paid: userData.paid || false
+            paid: userData.paid || false,
+            site: userData.site || DEFAULT_SITE
         };
     } catch (error) {
-        console.error('Error reading user data:', error.message);
+        log.error('Error reading user data:', error.message);
         return null;
     }
 }
 
+function getSite() {
+    try {
+        if (!fs.existsSync(SESSION_FILE)) {
+            return getSiteConfig(DEFAULT_SITE);
+        }
+
+        const userData = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
+        return getSiteConfig(userData.site || DEFAULT_SITE);
+    } catch (error) {
+        return getSiteConfig(DEFAULT_SITE);
+    }
+}
+
 function isLoggedIn() {
     return fs.existsSync(SESSION_FILE) && getSessionCookies() !== null;
 }
@@ -89,6 +105,7 @@ async function verifySession() {
         return false;
     }
 
+    const site = getSite();
     const query = `
         query globalData {
             userStatus {
@@ -99,12 +116,12 @@ async function verifySession() {
     `;
 
     try {
-        const response = await axios.post(
-            'https://leetcode.com/graphql',
+        const response = await http.post(
+            site.graphqlUrl,
             { query, variables: {} },
             {
                 headers: {
-                    'Cookie': `LEETCODE_SESSION=${cookies.session};csrftoken=${cookies.csrf};`,
+                    'Cookie': getCookieHeader(site, cookies.session, cookies.csrf),
                     'Content-Type': 'application/json',
                 },
                 timeout: 10000
@@ -125,6 +142,7 @@ module.exports = {
     saveSession,
     clearSession,
     getUser,
+    getSite,
     isLoggedIn,
     verifySession
 };
@@ -0,0 +1,61 @@
+/**
+ * @file site.js
+ * @description Endpoints and cookie names for the supported LeetCode sites
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const SITES = {
+    com: {
+        id: 'com',
+        name: 'leetcode.com',
+        baseUrl: 'https://leetcode.com',
+        graphqlUrl: 'https://leetcode.com/graphql',
+        sessionCookie: 'LEETCODE_SESSION',
+        csrfCookie: 'csrftoken',
+        hasTranslations: false,
+        hasCommunitySolutions: true,
+        hasSubmissionList: true
+    },
+    cn: {
+        id: 'cn',
+        name: 'leetcode.cn',
+        baseUrl: 'https://leetcode.cn',
+        graphqlUrl: 'https://leetcode.cn/graphql/',
+        sessionCookie: 'LEETCODE_SESSION',
+        csrfCookie: 'csrftoken',
+        hasTranslations: true,
+        hasCommunitySolutions: false,
+        hasSubmissionList: false
+    }
+};
+
+const DEFAULT_SITE = 'com';
+
+function getSiteConfig(siteId = DEFAULT_SITE) {
+    const site = SITES[siteId];
+    if (!site) {
+        throw new Error(`Unknown site: ${siteId}. Valid sites: ${Object.keys(SITES).join(', ')}`);
+    }
+    return site;
+}
+
+function getLoginUrl(site, port) {
+    return `${site.baseUrl}/authorize-login/http/?path=localhost:${port}/callback`;
+}
+
+function getCookieHeader(site, session, csrf) {
+    const cookies = [`${site.sessionCookie}=${session}`];
+    if (csrf) {
+        cookies.push(`${site.csrfCookie}=${csrf}`);
+    }
+    return cookies.join(';') + ';';
+}
+
+module.exports = {
+    SITES,
+    DEFAULT_SITE,
+    getSiteConfig,
+    getLoginUrl,
+    getCookieHeader
+};
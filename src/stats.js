@@ -0,0 +1,157 @@
+/**
+ * @file stats.js
+ * @description Summarize a downloaded dataset from its index and cached problem list
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { INDEX_FILE, loadIndex } = require('./dataset-index');
+const { loadProblemList } = require('./problem-list-cache');
+const { DIFFICULTIES } = require('./filters');
+const { emitSummary } = require('./events');
+const { log } = require('./logger');
+
+const workDir = process.cwd();
+
+function parseStatsArgs(startIndex = 2, customArgs = null) {
+    const args = customArgs || process.argv.slice(startIndex);
+    const config = {
+        dataDir: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            log.print(`
+LeetCode Dataset Statistics
+
+Usage: leetcode-fetch stats [options]
+
+Options:
+  --data-dir, -d <path>    Dataset directory (default: data/downloads)
+                           Example: -d data/leetcode-problems-251216
+  --help, -h               Show this help message
+
+Examples:
+  leetcode-fetch stats
+  leetcode-fetch stats -d data/my-dataset
+
+Note:
+  Reads ${INDEX_FILE} and the cached problem list only; no network access is needed.
+            `);
+            process.exit(0);
+        } else if (arg === '--data-dir' || arg === '-d') {
+            config.dataDir = args[++i];
+        }
+    }
+
+    return config;
+}
+
+function countBy(items, keyFn) {
+    const counts = {};
+    for (const item of items) {
+        for (const key of [].concat(keyFn(item))) {
+            counts[key] = (counts[key] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+function displayCounts(title, counts, limit = 10) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return;
+
+    log.info(`\x1b[2m  ${title}:\x1b[0m`);
+    for (const [key, count] of entries.slice(0, limit)) {
+        log.info(`    ${key}: ${count}`);
+    }
+    if (entries.length > limit) {
+        log.info(`    ... and ${entries.length - limit} more`);
+    }
+}
+
+async function main(startIndex = 2, customArgs = null) {
+    const config = parseStatsArgs(startIndex, customArgs);
+
+    const dataDir = config.dataDir || 'data/downloads';
+    const dataDirPath = path.join(workDir, dataDir);
+
+    if (!await fs.pathExists(dataDirPath)) {
+        log.error(`\n\x1b[31m✗\x1b[0m Dataset directory not found: ${dataDir}`);
+        log.error('\x1b[2m  Please check the path or run download first\x1b[0m\n');
+        process.exit(1);
+    }
+
+    const index = await loadIndex(dataDirPath);
+    if (!index) {
+        log.error(`\n\x1b[31m✗\x1b[0m No ${INDEX_FILE} found in ${dataDir}`);
+        log.error(`\x1b[2m  Run: leetcode-fetch reindex -d ${dataDir}\x1b[0m\n`);
+        process.exit(1);
+    }
+
+    const entries = Object.values(index.problems);
+    const byDifficulty = countBy(entries, e => e.difficulty);
+    const summary = {
+        dataset: dataDirPath,
+        problems: entries.length,
+        byDifficulty: Object.fromEntries(DIFFICULTIES.map(d => [d, byDifficulty[d] || 0])),
+        official: entries.filter(e => e.artifacts.official).length,
+        community: entries.filter(e => e.artifacts.community.length > 0).length,
+        mine: entries.filter(e => e.artifacts.mine && e.artifacts.mine.length > 0).length
+    };
+
+    log.info('\n\x1b[1mDataset Statistics\x1b[0m');
+    log.info(`\x1b[2m  Dataset:\x1b[0m ${dataDirPath}`);
+    log.info(`\x1b[2m  Problems:\x1b[0m ${entries.length}`);
+    log.info(`\x1b[2m  By difficulty:\x1b[0m ${DIFFICULTIES.map(d => `${d} ${summary.byDifficulty[d]}`).join(', ')}`);
+    log.info(`\x1b[2m  Official solutions:\x1b[0m ${summary.official}`);
+    log.info(`\x1b[2m  With community solutions:\x1b[0m ${summary.community}`);
+    log.info(`\x1b[2m  With my submissions:\x1b[0m ${summary.mine}`);
+
+    const cachedList = await loadProblemList(dataDirPath, {}, Infinity);
+    if (cachedList) {
+        const catalogue = cachedList.problems;
+        const free = catalogue.filter(p => !p.locked);
+        const freeDownloaded = free.filter(p => index.get(p.id)).length;
+        const premiumDownloaded = catalogue.filter(p => p.locked && index.get(p.id)).length;
+
+        log.info(`\x1b[2m  Catalogue:\x1b[0m ${catalogue.length} problems \x1b[2m(list fetched ${cachedList.fetchedAt})\x1b[0m`);
+        log.info(`\x1b[2m  Free coverage:\x1b[0m ${freeDownloaded}/${free.length}`);
+        log.info(`\x1b[2m  Premium coverage:\x1b[0m ${premiumDownloaded}/${catalogue.length - free.length}`);
+        summary.catalogue = {
+            problems: catalogue.length,
+            fetchedAt: cachedList.fetchedAt,
+            free: { downloaded: freeDownloaded, total: free.length },
+            premium: { downloaded: premiumDownloaded, total: catalogue.length - free.length }
+        };
+    }
+    log.info('');
+
+    summary.tags = countBy(entries, e => e.tags);
+    summary.languages = countBy(entries, e => e.artifacts.templates);
+    displayCounts('Top tags', summary.tags);
+    displayCounts('Languages', summary.languages);
+    log.info('');
+    emitSummary(summary);
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            await main();
+            process.exit(0);
+        } catch (error) {
+            log.error(`\n\x1b[31m✗\x1b[0m Stats error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    main
+};
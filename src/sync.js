@@ -9,6 +9,10 @@ const path = require('path');
 const fs = require('fs-extra');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { INDEX_FILE, loadIndex } = require('./dataset-index');
+const { DEFAULT_LAYOUT, loadDatasetConfig } = require('./layout');
+const { emitSummary } = require('./events');
+const { log } = require('./logger');
 
 const execAsync = promisify(exec);
 const workDir = process.cwd();
@@ -18,14 +22,15 @@ function parseSyncArgs(startIndex = 2, customArgs = null) {
     const config = {
         dataDir: null,
         url: null,
-        skipVerify: false
+        skipVerify: false,
+        dryRun: false
     };
 
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
 
         if (arg === '--help' || arg === '-h') {
-            console.log(`
+            log.print(`
 LeetCode Problems Sync
 
 Usage: leetcode-fetch sync [options]
@@ -37,12 +42,15 @@ Options:
   --url, -u <url>          Google Drive URL (required)
                            Example: -u https://drive.google.com/uc?id=FILE_ID
   --skip-verify            Skip integrity verification
+  --dry-run                Show the download and extraction targets without
+                           downloading or extracting anything
   --help, -h               Show this help message
 
 Examples:
   leetcode-fetch sync -u https://drive.google.com/uc?id=FILE_ID
   leetcode-fetch sync -d data/ -u https://drive.google.com/uc?id=FILE_ID
   leetcode-fetch sync -d custom-folder/ -u <url> --skip-verify
+  leetcode-fetch sync -u <url> --dry-run
 
 Note:
   This command requires gdown to be installed:
@@ -55,6 +63,8 @@ Note:
             config.url = args[++i];
         } else if (arg === '--skip-verify') {
             config.skipVerify = true;
+        } else if (arg === '--dry-run') {
+            config.dryRun = true;
         }
     }
 
@@ -71,7 +81,7 @@ async function checkGdownInstalled() {
 }
 
 async function downloadFromGoogleDrive(url, outputFile) {
-    console.log('\x1b[36m›\x1b[0m Downloading from Google Drive...');
+    log.info('\x1b[36m›\x1b[0m Downloading from Google Drive...');
 
     try {
         const { stdout, stderr } = await execAsync(`gdown "${url}" -O "${outputFile}"`, {
@@ -79,7 +89,7 @@ async function downloadFromGoogleDrive(url, outputFile) {
         });
 
         if (stderr && !stderr.includes('Downloading')) {
-            console.log(`\x1b[33m⚠\x1b[0m  ${stderr}`);
+            log.warn(`\x1b[33m⚠\x1b[0m  ${stderr}`);
         }
 
         return true;
@@ -89,7 +99,7 @@ async function downloadFromGoogleDrive(url, outputFile) {
 }
 
 async function extractArchive(archiveFile, destDir) {
-    console.log('\x1b[36m›\x1b[0m Extracting zip archive...');
+    log.info('\x1b[36m›\x1b[0m Extracting zip archive...');
 
     try {
         await execAsync(`unzip -q "${archiveFile}" -d "${destDir}"`);
@@ -100,7 +110,7 @@ async function extractArchive(archiveFile, destDir) {
 }
 
 async function verifyDataIntegrity(dataDir) {
-    console.log('\x1b[36m›\x1b[0m Verifying data integrity...');
+    log.info('\x1b[36m›\x1b[0m Verifying data integrity...');
 
     try {
         const items = await fs.readdir(dataDir);
@@ -111,6 +121,28 @@ async function verifyDataIntegrity(dataDir) {
             const stat = await fs.stat(itemPath);
 
             if (stat.isDirectory()) {
+                const index = await loadIndex(itemPath);
+                if (index) {
+                    foundProgressFile = true;
+                    let missingCount = 0;
+                    for (const entry of Object.values(index.problems)) {
+                        if (!await fs.pathExists(path.join(itemPath, entry.path))) {
+                            missingCount++;
+                        }
+                    }
+
+                    const datasetConfig = await loadDatasetConfig(itemPath);
+                    log.info(`  Found dataset: ${item}`);
+                    if (datasetConfig.layout !== DEFAULT_LAYOUT || datasetConfig.links.length > 0) {
+                        log.info(`  \x1b[2mLayout: ${datasetConfig.layout}${datasetConfig.links.length > 0 ? ` (links: ${datasetConfig.links.join(', ')})` : ''}\x1b[0m`);
+                    }
+                    log.info(`  \x1b[32m${index.size - missingCount}\x1b[0m indexed problems`);
+                    if (missingCount > 0) {
+                        log.info(`  \x1b[33m${missingCount}\x1b[0m problems listed in ${INDEX_FILE} are missing`);
+                    }
+                    continue;
+                }
+
                 const progressFile = path.join(itemPath, '.download-progress.json');
                 if (await fs.pathExists(progressFile)) {
                     foundProgressFile = true;
@@ -118,40 +150,68 @@ async function verifyDataIntegrity(dataDir) {
                     const completedCount = progressData.completed ? progressData.completed.length : 0;
                     const failedCount = progressData.failed ? Object.keys(progressData.failed).length : 0;
 
-                    console.log(`  Found dataset: ${item}`);
-                    console.log(`  \x1b[32m${completedCount}\x1b[0m completed problems`);
+                    log.info(`  Found dataset: ${item}`);
+                    log.info(`  \x1b[32m${completedCount}\x1b[0m completed problems`);
                     if (failedCount > 0) {
-                        console.log(`  \x1b[33m${failedCount}\x1b[0m failed problems`);
+                        log.info(`  \x1b[33m${failedCount}\x1b[0m failed problems`);
                     }
                 }
             }
         }
 
         if (!foundProgressFile) {
-            console.log('\x1b[33m⚠\x1b[0m  No progress file found, skipping verification');
+            log.warn('\x1b[33m⚠\x1b[0m  No progress file found, skipping verification');
         }
 
         return true;
     } catch (error) {
-        console.log(`\x1b[33m⚠\x1b[0m  Could not verify integrity: ${error.message}`);
+        log.warn(`\x1b[33m⚠\x1b[0m  Could not verify integrity: ${error.message}`);
         return false;
     }
 }
 
+async function displaySyncPlan(config, archiveFile, dataDirPath) {
+    log.info('\x1b[1mSync Plan\x1b[0m \x1b[2m(dry run, nothing is downloaded)\x1b[0m');
+    log.info(`  Download ${config.url}`);
+    log.info(`  \x1b[2m  to\x1b[0m ${archiveFile}`);
+    log.info(`  Extract into ${dataDirPath}`);
+    log.info(`  Remove ${archiveFile}`);
+    if (!config.skipVerify) {
+        log.info(`  Verify datasets in ${dataDirPath}`);
+    }
+
+    const existing = [];
+    if (await fs.pathExists(dataDirPath)) {
+        for (const item of (await fs.readdir(dataDirPath)).sort()) {
+            const itemPath = path.join(dataDirPath, item);
+            if ((await fs.stat(itemPath)).isDirectory()) {
+                const index = await loadIndex(itemPath);
+                existing.push(index ? `${item} (${index.size} indexed problems)` : item);
+            }
+        }
+    }
+
+    log.info('');
+    if (existing.length > 0) {
+        log.warn('\x1b[33m⚠\x1b[0m  Existing folders in the destination may be overwritten by the archive:');
+        for (const item of existing) {
+            log.warn(`  ${item}`);
+        }
+    } else {
+        log.info('\x1b[2m  The destination has no existing datasets\x1b[0m');
+    }
+    log.info('\x1b[2m  The archive contents are only known once it is downloaded\x1b[0m\n');
+
+    emitSummary({ dryRun: true, url: config.url, archive: archiveFile, destination: dataDirPath, existing });
+}
+
 async function main(startIndex = 2, customArgs = null) {
     const config = parseSyncArgs(startIndex, customArgs);
 
     if (!config.url) {
-        console.log('\n\x1b[31m✗\x1b[0m Google Drive URL is required');
-        console.log('\x1b[2m  Use -u or --url to specify the URL\x1b[0m');
-        console.log('\x1b[2m  Run leetcode-fetch sync --help for more information\x1b[0m\n');
-        process.exit(1);
-    }
-
-    const gdownInstalled = await checkGdownInstalled();
-    if (!gdownInstalled) {
-        console.log('\n\x1b[31m✗\x1b[0m gdown is not installed');
-        console.log('\x1b[2m  Please install it using: pip install gdown\x1b[0m\n');
+        log.error('\n\x1b[31m✗\x1b[0m Google Drive URL is required');
+        log.error('\x1b[2m  Use -u or --url to specify the URL\x1b[0m');
+        log.error('\x1b[2m  Run leetcode-fetch sync --help for more information\x1b[0m\n');
         process.exit(1);
     }
 
@@ -160,10 +220,22 @@ async function main(startIndex = 2, customArgs = null) {
     const tempDir = path.join(workDir, 'tmp');
     const archiveFile = path.join(tempDir, 'leetcode-data.zip');
 
-    console.log('\n\x1b[1mSync Configuration\x1b[0m');
-    console.log(`\x1b[2m  Destination:\x1b[0m ${dataDirPath}`);
-    console.log(`\x1b[2m  Source URL:\x1b[0m ${config.url}`);
-    console.log('');
+    log.info('\n\x1b[1mSync Configuration\x1b[0m');
+    log.info(`\x1b[2m  Destination:\x1b[0m ${dataDirPath}`);
+    log.info(`\x1b[2m  Source URL:\x1b[0m ${config.url}`);
+    log.info('');
+
+    if (config.dryRun) {
+        await displaySyncPlan(config, archiveFile, dataDirPath);
+        return;
+    }
+
+    const gdownInstalled = await checkGdownInstalled();
+    if (!gdownInstalled) {
+        log.error('\n\x1b[31m✗\x1b[0m gdown is not installed');
+        log.error('\x1b[2m  Please install it using: pip install gdown\x1b[0m\n');
+        process.exit(1);
+    }
 
     try {
         await fs.ensureDir(tempDir);
@@ -173,10 +245,10 @@ async function main(startIndex = 2, customArgs = null) {
 
         const archiveStats = await fs.stat(archiveFile);
         const sizeMB = (archiveStats.size / (1024 * 1024)).toFixed(2);
-        console.log(`\x1b[32m✓\x1b[0m Downloaded ${sizeMB} MB`);
+        log.info(`\x1b[32m✓\x1b[0m Downloaded ${sizeMB} MB`);
 
         await extractArchive(archiveFile, dataDirPath);
-        console.log('\x1b[32m✓\x1b[0m Extracted successfully');
+        log.info('\x1b[32m✓\x1b[0m Extracted successfully');
 
         await fs.remove(archiveFile);
 
@@ -184,12 +256,13 @@ async function main(startIndex = 2, customArgs = null) {
             await verifyDataIntegrity(dataDirPath);
         }
 
-        console.log('\n\x1b[32m✓\x1b[0m Sync completed successfully');
-        console.log(`\x1b[2m  Data synced to:\x1b[0m ${dataDirPath}\n`);
+        log.info('\n\x1b[32m✓\x1b[0m Sync completed successfully');
+        log.info(`\x1b[2m  Data synced to:\x1b[0m ${dataDirPath}\n`);
+        emitSummary({ url: config.url, destination: dataDirPath, bytes: archiveStats.size });
 
     } catch (error) {
-        console.log(`\n\x1b[31m✗\x1b[0m Sync failed`);
-        console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+        log.error(`\n\x1b[31m✗\x1b[0m Sync failed`);
+        log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
 
         if (await fs.pathExists(archiveFile)) {
             await fs.remove(archiveFile);
@@ -205,8 +278,8 @@ if (require.main === module) {
             await main();
             process.exit(0);
         } catch (error) {
-            console.log(`\n\x1b[31m✗\x1b[0m Sync error`);
-            console.log(`\x1b[2m  ${error.message}\x1b[0m\n`);
+            log.error(`\n\x1b[31m✗\x1b[0m Sync error`);
+            log.error(`\x1b[2m  ${error.message}\x1b[0m\n`);
             process.exit(1);
         }
     })();
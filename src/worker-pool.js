@@ -0,0 +1,24 @@
+/**
+ * @file worker-pool.js
+ * @description Fixed-size worker pool that keeps every slot busy until the queue drains
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+async function runWorkerPool(items, concurrency, worker, shouldStop = () => false) {
+    let next = 0;
+    const slots = Math.max(1, Math.min(concurrency, items.length));
+
+    const runSlot = async () => {
+        while (next < items.length && !shouldStop()) {
+            const item = items[next++];
+            await worker(item);
+        }
+    };
+
+    await Promise.all(Array.from({ length: slots }, runSlot));
+}
+
+module.exports = {
+    runWorkerPool
+};
@@ -0,0 +1,76 @@
+/**
+ * @file golden.js
+ * @description Golden-file tests for convertHtmlToMarkdown over saved problem.raw.txt files
+ * @author Houston Zhang
+ * @date 2026-10-19
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { convertHtmlToMarkdown } = require('../src/html-markdown');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const DEFAULT_OPTIONS = { baseUrl: 'https://leetcode.com' };
+
+// Each case is a folder with problem.raw.txt, the expected problem.md and an
+// optional options.json ({ baseUrl, imageMap: { src: localPath } })
+async function loadOptions(caseDir) {
+    const optionsPath = path.join(caseDir, 'options.json');
+    if (!await fs.pathExists(optionsPath)) {
+        return DEFAULT_OPTIONS;
+    }
+    const { baseUrl = DEFAULT_OPTIONS.baseUrl, imageMap = {} } = await fs.readJson(optionsPath);
+    return { baseUrl, imageMap: new Map(Object.entries(imageMap)) };
+}
+
+function firstDifference(expected, actual) {
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+        if (expectedLines[i] !== actualLines[i]) {
+            return `    line ${i + 1}\n    - ${JSON.stringify(expectedLines[i])}\n    + ${JSON.stringify(actualLines[i])}`;
+        }
+    }
+    return '';
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    const filter = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const cases = (await fs.readdir(GOLDEN_DIR))
+        .filter(name => filter.length === 0 || filter.includes(name))
+        .sort();
+    let failed = 0;
+
+    for (const name of cases) {
+        const caseDir = path.join(GOLDEN_DIR, name);
+        const html = await fs.readFile(path.join(caseDir, 'problem.raw.txt'), 'utf8');
+        const actual = `${convertHtmlToMarkdown(html, await loadOptions(caseDir))}\n`;
+        const expectedPath = path.join(caseDir, 'problem.md');
+
+        if (update) {
+            await fs.writeFile(expectedPath, actual, 'utf8');
+            console.log(`updated ${name}`);
+            continue;
+        }
+
+        const expected = await fs.pathExists(expectedPath) ? await fs.readFile(expectedPath, 'utf8') : '';
+        if (actual === expected) {
+            console.log(`ok      ${name}`);
+        } else {
+            failed++;
+            console.log(`FAIL    ${name}\n${firstDifference(expected, actual)}`);
+        }
+    }
+
+    console.log(`\n${cases.length - failed}/${cases.length} golden files match`);
+    if (failed > 0) {
+        console.log('Run "npm test -- --update" to accept the new output after checking it');
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});